@@ -2,7 +2,32 @@
  * Minimal optical profilometry defect detection app
  */
 
-import { default as wasm, Mnist } from "../pkg/browser_models.js";
+import { chooseLengthUnit, formatLength, niceLength, formatScaleLength } from './units.js';
+import { StructureBrowser } from './structure-browser.js';
+import { identifyInstrument, resolveChannels, loadRules } from './channel-mapping.js';
+import { ChannelMappingDialog } from './channel-dialog.js';
+import { importFile, readDatasets, describeDatasets, isSupportedFile, acceptedExtensions } from './importers/index.js';
+import { EXPORT_FORMATS, exportBundle, downloadBlob } from './exporters/index.js';
+import { computeDatasetStats, renderThumbnail, thumbnailDataUrl } from './dataset-stats.js';
+import { WorkerPool, CancelledError } from './worker-pool.js';
+import { InferenceRun, formatDuration } from './inference-run.js';
+import { gpuMonitor } from './gpu-monitor.js';
+import { FileCache, loadCacheSettings, saveCacheSettings } from './file-cache.js';
+import { INPAINT_METHODS, buildValidityMask, countInvalid, inpaint } from './inpainting.js';
+import { DEFAULT_MANIFEST, OUTPUT_SEMANTICS, normalizeValue, denormalizeValue, describeNormalization } from './model-manifest.js';
+import { BACKEND_SETTINGS, BACKEND_NAMES, loadBackendSetting, saveBackendSetting, probeWebGPU } from './backends.js';
+import { createDefaultRegistry, loadSelectedDetectorId, saveSelectedDetectorId, userModelDetector, DEFAULT_DETECTOR_ID } from './detectors.js';
+import { FALLBACK_DETECTOR_ID } from './classical-detectors.js';
+import { ResidualChart } from './residual-chart.js';
+import { STRUCTURING_ELEMENTS, loadMaskSettings, saveMaskSettings, isIdentity, postProcessMask, describeMaskSettings } from './morphology.js';
+import { SCORE_MAPS, ScoreSet, loadScoreSettings, saveScoreSettings, heightAnomaly, describeWeights, heatMapPixels } from './score-maps.js';
+import { labelComponents, extractDefects, sortDefects, DEFECT_COLUMNS } from './defects.js';
+import { THRESHOLD_STRATEGIES, loadThresholdSettings, saveThresholdSettings, computeThreshold, paramForThreshold, describeThreshold, formatParam, loadCalibrations, getCalibration, addCalibrationScan, clearCalibration } from './thresholds.js';
+
+const THUMBNAIL_SIZE = 128;
+const MAX_DEFECT_ROWS = 200;
+const MAX_TILE_BATCH = 8; // Tiles per worker message on large scans; the model takes up to its manifest's maxBatch per call
+const MAX_GPU_RETRIES = 2; // Per batch, after a lost device or GPU error
 
 class ImageProcessor {
     constructor() {
@@ -15,125 +40,83 @@ class ImageProcessor {
         this.intensityMax = 1;
         this.surfaceMin = 0;
         this.surfaceMax = 1;
-        this.allDatasets = {}; // Store all loaded datasets
+        this.allDatasets = {}; // Every 2D dataset; data is null until read (see loadDatasets)
+        this.datasetReader = null; // async (paths) => { path: dataset }, re-reads datasets from the source file
         this.datasetInfo = {}; // Store min/max for each dataset
+        this.format = null; // Importer format label, e.g. 'DATX' or 'X3P'
+        this.metadata = { attributes: {}, datasets: {} }; // HDF5 attributes and parsed physical scaling
+        this.structure = null; // Tree of every group/dataset in the file, for the structure browser
+        this.channelMapping = null; // How surfacePath/intensityPath were chosen (see channel-mapping.js)
+        this.surfacePath = null;
+        this.intensityPath = null;
+        this.pixelSize = null; // { x, y } in metres per pixel, when the file declares it
+        this.heightToMeters = null; // Factor from stored surface values to metres
+        this.heightUnit = null; // Display unit chosen for the surface range
+        this.manifest = DEFAULT_MANIFEST; // Preprocessing and output semantics of the model (see model-manifest.js)
+        this.tileSize = this.manifest.input.tileSize; // Model input is a square tile of this size
+        this.tileOverlap = 0; // Fraction of the tile shared with its neighbour (0 = side by side)
+        this.validityMask = null; // Uint8Array, 1 where both channels are finite
+        this.invalidCount = 0;
+        this.inpaintMethod = 'nearest'; // How dropouts are filled before inference (see inpainting.js)
+        this.inferenceInputs = null; // { channel: Float32Array } with dropouts filled, built by prepareInferenceInput()
+        this.inferenceInputMethod = null;
+        this.lastAnomaly = null; // Anomaly scores, for models whose output semantics is 'anomaly'
+        this.resultMaps = null; // { result, reconstruction, anomaly, scores } of the last inference (see App.createResult)
     }
 
-    async loadDATXFile(datxBuffer) {
+    async loadFile(buffer, fileName = '') {
         try {
-            const h5wasm = await import('https://cdn.jsdelivr.net/npm/h5wasm@0.4.9/dist/esm/hdf5_hl.js');
-            const { FS } = await h5wasm.ready;
-            
-            const fname = "temp.datx";
-            FS.writeFile(fname, new Uint8Array(datxBuffer));
-            
-            const f = new h5wasm.File(fname, "r");
-            
-            // Explore the entire file structure
-            console.log('Exploring DATX file structure...');
-            this.allDatasets = {};
-            this.datasetInfo = {};
-            
-            // Function to recursively explore HDF5 structure
-            const exploreGroup = (path = '') => {
-                const keys = path ? f.get(path).keys() : f.keys();
-                console.log(`Keys at ${path || 'root'}:`, keys);
-                
-                for (const key of keys) {
-                    const fullPath = path ? `${path}/${key}` : key;
-                    try {
-                        const item = f.get(fullPath);
-                        
-                        // Check if it's a group or dataset
-                        if (item.type === 'Group') {
-                            console.log(`Found group: ${fullPath}`);
-                            exploreGroup(fullPath);
-                        } else if (item.type === 'Dataset') {
-                            console.log(`Found dataset: ${fullPath}`, item.shape, item.dtype);
-                            
-                            // Only load 2D datasets that look like images
-                            if (item.shape && item.shape.length === 2) {
-                                const data = new Float32Array(item.value);
-                                const [height, width] = item.shape;
-                                
-                                // Calculate min/max
-                                let min = Infinity;
-                                let max = -Infinity;
-                                for (let i = 0; i < data.length; i++) {
-                                    if (isFinite(data[i])) {
-                                        if (data[i] < min) min = data[i];
-                                        if (data[i] > max) max = data[i];
-                                    }
-                                }
-                                
-                                this.allDatasets[fullPath] = {
-                                    data: data,
-                                    width: width,
-                                    height: height,
-                                    name: key,
-                                    fullPath: fullPath
-                                };
-                                
-                                this.datasetInfo[fullPath] = { min, max };
-                                console.log(`Loaded ${fullPath}: ${width}x${height}, range [${min.toFixed(2)}, ${max.toFixed(2)}]`);
-                            }
-                        }
-                    } catch (e) {
-                        console.log(`Could not access ${fullPath}:`, e.message);
-                    }
-                }
-            };
-            
-            exploreGroup();
-            
-            // Try to find Surface and Intensity for backwards compatibility
-            let surface = null;
-            let intensity = null;
-            
-            // Look for Surface and Intensity in any of the loaded datasets
-            for (const [path, dataset] of Object.entries(this.allDatasets)) {
-                if (path.toLowerCase().includes('surface')) {
-                    surface = dataset;
-                }
-                if (path.toLowerCase().includes('intensity')) {
-                    intensity = dataset;
-                }
-            }
-            
-            if (!surface || !intensity) {
-                console.warn('Could not find Surface/Intensity datasets by name');
-                // Use first two datasets as fallback
-                const datasets = Object.values(this.allDatasets);
-                if (datasets.length >= 2) {
-                    surface = datasets[0];
-                    intensity = datasets[1];
-                    console.log('Using first two datasets as Surface and Intensity');
-                } else {
-                f.close();
-                FS.unlink(fname);
-                    throw new Error('Could not find enough 2D datasets in file');
-                }
-            }
-            
-            this.rawSurfaceData = surface.data;
-            this.rawIntensityData = intensity.data;
-            this.width = surface.width;
-            this.height = surface.height;
-            
-            this.calculateNormalization();
-            
-            f.close();
-            FS.unlink(fname);
-            
-            console.log(`Loaded ${Object.keys(this.allDatasets).length} datasets from DATX file`);
+            const result = await importFile(buffer, fileName);
+            this.applyImport(result);
+            console.log(`Loaded ${Object.keys(this.allDatasets).length} datasets from ${result.format} file`);
             return true;
         } catch (error) {
-            console.error('Error loading DATX:', error);
+            console.error('Error loading file:', error);
             alert('Error loading file: ' + error.message + '\n\nPlease check the file format.');
             return false;
         }
     }
 
+    // Take over the { format, datasets, metadata, structure } produced by an importer.
+    // The parse worker passes its datasetInfo and channelMapping so they aren't recomputed.
+    applyImport({ format, datasets, metadata, structure }, precomputed = {}) {
+        this.format = format;
+        this.allDatasets = datasets;
+        this.metadata = metadata;
+        this.structure = structure;
+        this.datasetInfo = {};
+        
+        for (const [path, dataset] of Object.entries(datasets)) {
+            const { data, width, height } = dataset;
+            const stats = precomputed.datasetInfo?.[path] || computeDatasetStats(data);
+            this.datasetInfo[path] = stats;
+            console.log(`Loaded ${path}: ${width}x${height}, range [${stats.min.toFixed(2)}, ${stats.max.toFixed(2)}]`);
+        }
+        
+        // Pick Surface and Intensity using the saved mapping rules
+        const instrument = identifyInstrument(this.metadata.attributes);
+        this.channelMapping = precomputed.channelMapping || resolveChannels(this.allDatasets, instrument, loadRules());
+        
+        if (!this.channelMapping.surface || !this.channelMapping.intensity) {
+            throw new Error('Could not find any 2D datasets in file');
+        }
+        
+        if (this.channelMapping.fallback.length > 0) {
+            console.warn(`No channel rule matched ${this.channelMapping.fallback.join(' and ')}; using ` +
+                `${this.channelMapping.surface} as Surface and ${this.channelMapping.intensity} as Intensity`);
+        }
+        
+        this.assignChannels(this.channelMapping.surface, this.channelMapping.intensity);
+    }
+
+    // Read the datasets at paths that are only described so far (data null)
+    async loadDatasets(paths) {
+        const missing = paths.filter(path => this.allDatasets[path] && !this.allDatasets[path].data);
+        if (missing.length === 0) return;
+        if (!this.datasetReader) throw new Error(`No source file to read ${missing.join(', ')} from`);
+        Object.assign(this.allDatasets, await this.datasetReader(missing));
+    }
+
     calculateNormalization() {
         this.intensityMin = Infinity;
         this.intensityMax = -Infinity;
@@ -157,14 +140,99 @@ class ImageProcessor {
         if (this.surfaceMax === this.surfaceMin) this.surfaceMax = this.surfaceMin + 1;
     }
 
+    // Show a different loaded 2D dataset as the height ('surface') or 'intensity' channel
+    setChannel(role, path) {
+        if (role === 'surface') {
+            this.setChannels(path, this.intensityPath);
+        } else if (role === 'intensity') {
+            this.setChannels(this.surfacePath, path);
+        } else {
+            throw new Error(`Unknown channel: ${role}`);
+        }
+    }
+
+    // Reassign both channels at once, so they can move to a different size together
+    setChannels(surfacePath, intensityPath) {
+        this.assignChannels(surfacePath, intensityPath);
+        
+        // A manual choice is no longer a fallback guess
+        if (this.channelMapping) {
+            this.channelMapping = { ...this.channelMapping, surface: surfacePath, intensity: intensityPath, fallback: [] };
+        }
+    }
+
+    // Height-only files (.xyz, a single .npy array) have no intensity; the height stands in for it
+    hasIntensity() {
+        return this.intensityPath !== this.surfacePath;
+    }
+
+    assignChannels(surfacePath, intensityPath) {
+        const surface = this.allDatasets[surfacePath];
+        const intensity = this.allDatasets[intensityPath];
+        if (!surface) throw new Error(`Dataset ${surfacePath} is not a loaded 2D dataset`);
+        if (!intensity) throw new Error(`Dataset ${intensityPath} is not a loaded 2D dataset`);
+        if (!surface.data || !intensity.data) throw new Error('Channel datasets must be read (loadDatasets) before they are assigned');
+        if (surface.width !== intensity.width || surface.height !== intensity.height) {
+            throw new Error(`${surfacePath} is ${surface.width}x${surface.height} but ${intensityPath} is ${intensity.width}x${intensity.height}`);
+        }
+        
+        this.rawSurfaceData = surface.data;
+        this.rawIntensityData = intensity.data;
+        this.surfacePath = surfacePath;
+        this.intensityPath = intensityPath;
+        this.width = surface.width;
+        this.height = surface.height;
+        this.lastReconstructed = null;
+        this.lastAnomaly = null;
+        this.resultMaps = null;
+        this.validityMask = buildValidityMask(surface.data, intensity.data);
+        this.invalidCount = countInvalid(this.validityMask);
+        this.inferenceInputs = null;
+        this.inferenceInputMethod = null;
+        
+        this.calculateNormalization();
+        this.updatePhysicalScale();
+    }
+
+    // Derive pixel size and height units from the surface dataset's metadata
+    updatePhysicalScale() {
+        const meta = this.metadata.datasets[this.surfacePath] || {};
+        const x = meta.pixelSizeX ?? meta.pixelSizeY ?? null;
+        const y = meta.pixelSizeY ?? meta.pixelSizeX ?? null;
+        this.pixelSize = x != null ? { x, y } : null;
+        this.heightToMeters = meta.zToMeters ?? null;
+        this.heightUnit = this.heightToMeters != null
+            ? chooseLengthUnit((this.surfaceMax - this.surfaceMin) * this.heightToMeters)
+            : null;
+        
+        if (this.pixelSize) {
+            console.log(`Pixel size: ${formatLength(this.pixelSize.x)} × ${formatLength(this.pixelSize.y)}`);
+        }
+    }
+
+    // Surface value with its physical unit, or the raw number when unknown
+    formatHeight(value, digits = 3) {
+        if (this.heightToMeters == null) return value.toFixed(digits);
+        return formatLength(value * this.heightToMeters, this.heightUnit, digits);
+    }
+
+    // Physical width/height of the scan in metres, or null without lateral calibration
+    getFieldOfView() {
+        if (!this.pixelSize) return null;
+        return {
+            width: this.width * this.pixelSize.x,
+            height: this.height * this.pixelSize.y
+        };
+    }
+
     displayIntensity(canvas) {
-        canvas.width = 1024;
-        canvas.height = 1024;
+        canvas.width = this.width;
+        canvas.height = this.height;
         const ctx = canvas.getContext('2d');
-        const imageData = ctx.createImageData(1024, 1024);
+        const imageData = ctx.createImageData(this.width, this.height);
         const range = this.intensityMax - this.intensityMin;
         
-        for (let i = 0; i < 1024 * 1024; i++) {
+        for (let i = 0; i < this.width * this.height; i++) {
             const val = this.rawIntensityData[i];
             const normalized = isFinite(val) ? Math.max(0, Math.min(1, (val - this.intensityMin) / range)) : 0;
             const gray = Math.floor(normalized * 255);
@@ -178,7 +246,7 @@ class ImageProcessor {
 
     displayDataset(canvas, datasetPath) {
         const dataset = this.allDatasets[datasetPath];
-        if (!dataset) return;
+        if (!dataset || !dataset.data) return;
         
         const { data, width, height } = dataset;
         const { min, max } = this.datasetInfo[datasetPath];
@@ -201,43 +269,163 @@ class ImageProcessor {
         ctx.putImageData(imageData, 0, 0);
     }
 
-    processCrop(gridX, gridY) {
-        const cropSize = 256;
-        const result = new Float32Array(cropSize * cropSize);
-        const startX = gridX * cropSize;
-        const startY = gridY * cropSize;
-        
-        for (let y = 0; y < cropSize; y++) {
-            for (let x = 0; x < cropSize; x++) {
-                const val = this.rawIntensityData[(startY + y) * 1024 + startX + x];
-                result[y * cropSize + x] = (val - 50481.640625) / 16498.2578125;
+    // Start offsets along one axis. Without overlap the last tile may run past
+    // the edge and gets padded; with overlap it is shifted back to end flush.
+    tileStarts(length, stride) {
+        const size = this.tileSize;
+        const starts = [];
+        for (let start = 0; ; start += stride) {
+            if (this.tileOverlap > 0 && start + size > length) {
+                starts.push(Math.max(0, length - size));
+                break;
+            }
+            starts.push(start);
+            if (start + size >= length) break;
+        }
+        return starts;
+    }
+
+    getTileLayout() {
+        const stride = Math.max(1, Math.round(this.tileSize * (1 - this.tileOverlap)));
+        const xs = this.tileStarts(this.width, stride);
+        const ys = this.tileStarts(this.height, stride);
+        
+        const tiles = [];
+        for (const y of ys) {
+            for (const x of xs) {
+                tiles.push({ x, y });
             }
         }
+        return { tiles, count: tiles.length, stride };
+    }
+
+    // 1D blending weights: flat in the middle, sin² ramps across the overlap so
+    // neighbouring tiles cross-fade instead of meeting at a hard seam
+    blendWindow(stride) {
+        const size = this.tileSize;
+        const ramp = size - stride;
+        const window = new Float32Array(size).fill(1);
+        if (ramp <= 0) return window;
+        
+        for (let i = 0; i < ramp; i++) {
+            const w = Math.sin((Math.PI / 2) * (i + 0.5) / ramp) ** 2;
+            window[i] = w;
+            window[size - 1 - i] = w;
+        }
+        return window;
+    }
+
+    setManifest(manifest) {
+        if (this.manifest === manifest) return;
+        this.manifest = manifest;
+        this.tileSize = manifest.input.tileSize;
+        this.inferenceInputs = null;
+    }
+
+    channelData(channel) {
+        return channel === 'surface' ? this.rawSurfaceData : this.rawIntensityData;
+    }
+
+    // Channel with dropout pixels filled; cached per channel until the method changes
+    inpaintedChannel(channel) {
+        if (!this.inferenceInputs || this.inferenceInputMethod !== this.inpaintMethod) {
+            this.inferenceInputs = {};
+            this.inferenceInputMethod = this.inpaintMethod;
+        }
+        if (!this.inferenceInputs[channel]) {
+            console.time(`Inpaint ${channel}: ${this.invalidCount} pixels (${this.inpaintMethod})`);
+            this.inferenceInputs[channel] = inpaint(this.channelData(channel), this.validityMask, this.width, this.height, this.inpaintMethod);
+            console.timeEnd(`Inpaint ${channel}: ${this.invalidCount} pixels (${this.inpaintMethod})`);
+        }
+        return this.inferenceInputs[channel];
+    }
+
+    // Fill dropout pixels in every model input channel so the model never sees NaN/Inf
+    prepareInferenceInput() {
+        for (const channel of this.manifest.input.channels) this.inpaintedChannel(channel);
+    }
+
+    // Channels are stacked planar (C × tile × tile) in manifest order; written into result when given (a view into a batch buffer)
+    processCrop(startX, startY, result = null) {
+        const cropSize = this.tileSize;
+        const { channels, normalization } = this.manifest.input;
+        result = result || new Float32Array(channels.length * cropSize * cropSize);
+        
+        channels.forEach((channel, c) => {
+            const input = this.inferenceInputs?.[channel] || this.channelData(channel);
+            const norm = normalization[c];
+            const offset = c * cropSize * cropSize;
+            for (let y = 0; y < cropSize; y++) {
+                // Partial edge tiles are padded by replicating the last row/column
+                const srcY = Math.min(startY + y, this.height - 1);
+                for (let x = 0; x < cropSize; x++) {
+                    const srcX = Math.min(startX + x, this.width - 1);
+                    result[offset + y * cropSize + x] = normalizeValue(input[srcY * this.width + srcX], norm);
+                }
+            }
+        });
         return result;
     }
 
-    combineOutputs(outputs) {
-        if (outputs.length !== 16) return false;
+    // Results of a whole-image detector: { reconstruction?, anomaly? } at full resolution
+    setDetectorOutput({ reconstruction = null, anomaly = null } = {}) {
+        const size = this.width * this.height;
+        for (const array of [reconstruction, anomaly]) {
+            if (array && array.length !== size) {
+                throw new Error(`Detector output has ${array.length} values, expected ${size}`);
+            }
+        }
+        this.lastReconstructed = reconstruction;
+        this.lastAnomaly = anomaly;
+        return !!(reconstruction || anomaly);
+    }
+
+    combineOutputs(outputs, layout = this.getTileLayout()) {
+        const cropSize = this.tileSize;
+        const { tiles, stride } = layout;
+        if (outputs.length !== tiles.length) return false;
+        
+        const window = this.blendWindow(stride);
+        const accum = new Float32Array(this.width * this.height);
+        const weights = new Float32Array(this.width * this.height);
+        
+        for (let t = 0; t < tiles.length; t++) {
+            const output = outputs[t];
+            if (output.length !== cropSize * cropSize) return false;
+            
+            const { x: startX, y: startY } = tiles[t];
+            
+            // Padding outside the image is discarded
+            const tileW = Math.min(cropSize, this.width - startX);
+            const tileH = Math.min(cropSize, this.height - startY);
+            
+            for (let y = 0; y < tileH; y++) {
+                for (let x = 0; x < tileW; x++) {
+                    const fullIdx = (startY + y) * this.width + startX + x;
+                    const w = window[x] * window[y];
+                    accum[fullIdx] += output[y * cropSize + x] * w;
+                    weights[fullIdx] += w;
+                }
+            }
+        }
         
-        this.lastReconstructed = new Float32Array(this.width * this.height);
+        const { input, output } = this.manifest;
+        const combined = new Float32Array(this.width * this.height);
+        for (let i = 0; i < accum.length; i++) {
+            combined[i] = weights[i] > 0 ? accum[i] / weights[i] : NaN;
+        }
         
-        for (let gridY = 0; gridY < 4; gridY++) {
-            for (let gridX = 0; gridX < 4; gridX++) {
-                const output = outputs[gridY * 4 + gridX];
-                if (output.length !== 65536) return false;
-                
-                const startX = gridX * 256;
-                const startY = gridY * 256;
-                
-                for (let y = 0; y < 256; y++) {
-                    for (let x = 0; x < 256; x++) {
-                        if (startX + x < 1024 && startY + y < 1024) {
-                            const fullIdx = (startY + y) * 1024 + startX + x;
-                            this.lastReconstructed[fullIdx] = (output[y * 256 + x] * 16498.2578125) + 50481.640625;
-                        }
-                    }
-                }
+        if (output.semantics === 'anomaly') {
+            this.lastAnomaly = combined;
+            this.lastReconstructed = null;
+        } else {
+            // Reconstructions come back in the normalized space of their input channel
+            const norm = input.normalization[input.channels.indexOf(output.channel)];
+            for (let i = 0; i < combined.length; i++) {
+                combined[i] = denormalizeValue(combined[i], norm);
             }
+            this.lastReconstructed = combined;
+            this.lastAnomaly = null;
         }
         return true;
     }
@@ -257,26 +445,54 @@ class App {
             threejsViewport: document.getElementById('threejs-viewport'),
             intensityViewport: document.getElementById('intensity-viewport'),
             datasetGridViewport: document.getElementById('dataset-grid-viewport'),
-            percentileControls: document.getElementById('percentile-controls'),
-            percentileSlider: document.getElementById('percentile-slider'),
-            percentileValue: document.getElementById('percentile-value'),
+            structureViewport: document.getElementById('structure-viewport'),
+            thresholdControls: document.getElementById('threshold-controls'),
+            thresholdStrategy: document.getElementById('threshold-strategy'),
+            thresholdSlider: document.getElementById('threshold-slider'),
+            thresholdParamLabel: document.getElementById('threshold-param-label'),
+            thresholdParamValue: document.getElementById('threshold-param-value'),
             infoBtn: document.getElementById('info-btn'),
             infoModal: document.getElementById('info-modal'),
             closeModal: document.getElementById('close-modal'),
             view3dBtn: document.getElementById('view-3d'),
             viewIntensityBtn: document.getElementById('view-intensity'),
             viewDatasetsBtn: document.getElementById('view-datasets'),
+            viewStructureBtn: document.getElementById('view-structure'),
             webgpuBadge: document.getElementById('webgpu-badge')
         };
 
         this.imageProcessor = new ImageProcessor();
-        this.model = null;
+        this.detectors = createDefaultRegistry();
+        this.model = null; // Active detector instance (see detectors.js)
+        this.resultLabel = null; // Detector that produced the current results
+        this.resultDetectorId = null;
         this.isRunning = false;
+        this.inferenceRun = null; // InferenceRun in progress, for Pause/Cancel
         this.imageLoaded = false;
-        this.currentPercentile = 95;
+        this.thresholdSettings = loadThresholdSettings(); // { strategy, params: { [strategy]: value } }
+        this.calibrations = loadCalibrations();
+        this.scoreSettings = loadScoreSettings(); // { map, heightWeight }
+        this.scores = null; // ScoreSet of the shown result; differenceData is its selected map
+        this.currentResult = null; // Result shown for the current file (see createResult)
+        this.residualIndex = null; // Sorted residuals of the current result (see residual-index.js)
+        this.calibrationCache = null; // { key, calibration } pooled from this.calibrations
+        this.thresholdInfo = null; // { strategy, param, description } behind currentThreshold
+        this.maskSettings = loadMaskSettings(); // Morphological clean-up of the thresholded mask
+        this.defectMask = null; // { source, threshold, mask } cache for getDefectMask()
+        this.maskTexture = null;
+        this.intensityBase = null; // Greyscale pixels the overlay is drawn on
+        this.overlayDirty = false;
+        this.overlayFrame = null;
+        this.defectTimer = null;
+        this.tileOverlap = 0;
+        this.inpaintMethod = 'nearest';
         this.differenceData = null;
+        this.currentThreshold = null;
         this.diffMin = null;
         this.diffMax = null;
+        this.defects = [];
+        this.defectSort = { column: 'peakResidual', ascending: false };
+        this.selectedDefectId = null;
         this.currentView = '3d';
         
         // Height scaling controls
@@ -286,37 +502,85 @@ class App {
         this.heightMultiplier = 20;
         
         // Multi-file management
-        this.loadedFiles = []; // Array of {name, processor, thumbnail}
+        this.loadedFiles = []; // Array of {id, name, source, thumbnail, summary, channelMapping}; processors live in fileCache
+        this.fileCounter = 0;
+        this.switchToken = 0; // Only the latest switchToFile call applies its result
+        this.loadGeneration = 0; // Bumped when a load replaces the files; older loads must not touch the cache
+        this.cacheSettings = loadCacheSettings();
+        this.fileCache = new FileCache(this.cacheSettings);
+        this.fileCache.clear(); // Drop datasets spilled by a previous session
+        this.loadController = null; // Aborts the multi-file load in progress
+        this.parsePool = typeof Worker !== 'undefined'
+            ? new WorkerPool(new URL('./parse-worker.js', import.meta.url))
+            : null;
+        this.inferencePool = typeof Worker !== 'undefined'
+            ? new WorkerPool(new URL('./inference-worker.js', import.meta.url))
+            : null;
+        this.workerInference = true; // Cleared once a worker fails to run the model
+        this.backendSetting = loadBackendSetting();
+        this.pendingGPUFailure = null; // GPUFailure the main-thread model hasn't been reinitialized after
+        this.gpuRecovery = null;
+        this.gpuNoticeTimer = null;
+        this.webgpuProbe = null;
+        this.chosenDetectorId = null;
+        this.fallbackForFile = false; // The chosen model was swapped for a classical one because the file lacks intensity
         this.currentFileIndex = -1;
         
+        if (this.elements.structureViewport) {
+            this.structureBrowser = new StructureBrowser(this.elements.structureViewport, {
+                onLoadDataset: (path, role) => this.loadDatasetIntoViews(path, role)
+            });
+        }
+        
+        const channelModal = document.getElementById('channel-modal');
+        if (channelModal) {
+            this.channelDialog = new ChannelMappingDialog(channelModal, {
+                onApply: (surfacePath, intensityPath) => this.applyChannelMapping(surfacePath, intensityPath)
+            });
+        }
+        
+        // Before anything requests a device, so the model's devices are watched too
+        gpuMonitor.install();
+        gpuMonitor.onFailure(failure => this.onGPUFailure(failure));
         this.checkWebGPU();
         this.initThreeJS();
         this.bindEvents();
         this.loadDemoFiles();
+        this.setupUserModels();
         this.loadModel();
     }
 
+    // Until a model is ready the badge says whether WebGPU works at all
     async checkWebGPU() {
-        if (navigator.gpu) {
-            try {
-                const adapter = await navigator.gpu.requestAdapter();
-                if (adapter) {
-                    this.elements.webgpuBadge.textContent = '✓ WebGPU';
-                    this.elements.webgpuBadge.classList.add('supported');
-                } else {
-                    this.elements.webgpuBadge.textContent = '✗ WebGPU';
-                    this.elements.webgpuBadge.classList.add('unsupported');
-                }
-            } catch (e) {
-                this.elements.webgpuBadge.textContent = '✗ WebGPU';
-                this.elements.webgpuBadge.classList.add('unsupported');
-            }
-        } else {
-            this.elements.webgpuBadge.textContent = '✗ WebGPU';
-            this.elements.webgpuBadge.classList.add('unsupported');
+        this.webgpuProbe = await probeWebGPU();
+        if (!this.webgpuProbe.ok) console.warn(`WebGPU: ${this.webgpuProbe.reason}`);
+        this.updateBackendBadge();
+    }
+
+    // The backend the active detector actually runs on
+    updateBackendBadge() {
+        const badge = this.elements.webgpuBadge;
+        const probe = this.webgpuProbe;
+        badge.classList.remove('supported', 'unsupported', 'cpu');
+        if (this.model) {
+            const { backend, backendNote } = this.model;
+            badge.textContent = backend === 'webgpu' ? '✓ WebGPU' : BACKEND_NAMES[backend];
+            badge.classList.add(backend === 'webgpu' ? 'supported' : 'cpu');
+            badge.title = backend === 'webgpu'
+                ? `Model runs on WebGPU${probe?.adapter ? ` (${probe.adapter})` : ''}`
+                : backendNote || `Model runs on ${BACKEND_NAMES[backend]}`;
+        } else if (probe) {
+            badge.textContent = probe.ok ? '✓ WebGPU' : '✗ WebGPU';
+            badge.classList.add(probe.ok ? 'supported' : 'unsupported');
+            badge.title = probe.ok ? probe.adapter || 'WebGPU available' : probe.reason;
         }
     }
 
+    backendLabel(backend) {
+        const adapter = backend === 'webgpu' && this.webgpuProbe?.adapter;
+        return adapter ? `${BACKEND_NAMES[backend]} (${adapter})` : BACKEND_NAMES[backend];
+    }
+
     initThreeJS() {
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
@@ -350,6 +614,7 @@ class App {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(window.innerWidth, window.innerHeight);
+        if (this.imageLoaded) this.updateIntensityScaleBar();
     }
 
     createAxesHelper() {
@@ -400,10 +665,11 @@ class App {
     }
 
     bindEvents() {
+        this.elements.fileInput.accept = acceptedExtensions().join(',');
         this.elements.uploadArea.addEventListener('click', () => this.elements.fileInput.click());
         this.elements.fileInput.addEventListener('change', async e => {
             if (e.target.files.length > 0) {
-                await this.loadMultipleDatxFiles(Array.from(e.target.files));
+                await this.loadMultipleFiles(Array.from(e.target.files));
             }
         });
 
@@ -411,15 +677,70 @@ class App {
         this.elements.uploadArea.addEventListener('drop', async e => {
             e.preventDefault();
             if (e.dataTransfer.files.length > 0) {
-                await this.loadMultipleDatxFiles(Array.from(e.dataTransfer.files));
+                await this.loadMultipleFiles(Array.from(e.dataTransfer.files));
             }
         });
 
         this.elements.runBtn.addEventListener('click', () => this.runInference());
+        document.getElementById('run-all-btn').addEventListener('click', () => this.runAllInference());
+        document.getElementById('pause-btn').addEventListener('click', () => this.togglePause());
+        document.getElementById('cancel-run-btn').addEventListener('click', () => this.cancelInference());
+        document.getElementById('gpu-notice').addEventListener('click', e => {
+            e.currentTarget.style.display = 'none';
+        });
+        
+        const overlapSelect = document.getElementById('overlap-select');
+        if (overlapSelect) {
+            overlapSelect.addEventListener('change', e => {
+                this.tileOverlap = parseFloat(e.target.value);
+            });
+        }
+        
+        const inpaintSelect = document.getElementById('inpaint-select');
+        if (inpaintSelect) {
+            inpaintSelect.innerHTML = Object.entries(INPAINT_METHODS)
+                .map(([id, name]) => `<option value="${id}">Dropouts: ${name} Fill</option>`)
+                .join('');
+            inpaintSelect.value = this.inpaintMethod;
+            inpaintSelect.addEventListener('change', e => {
+                this.inpaintMethod = e.target.value;
+            });
+        }
         
-        this.elements.percentileSlider.addEventListener('input', e => {
-            this.currentPercentile = parseInt(e.target.value);
-            this.elements.percentileValue.textContent = this.currentPercentile;
+        this.elements.thresholdStrategy.innerHTML = Object.entries(THRESHOLD_STRATEGIES)
+            .map(([id, { name, description }]) => `<option value="${id}" title="${description}">Threshold: ${name}</option>`)
+            .join('');
+        this.elements.thresholdStrategy.value = this.thresholdSettings.strategy;
+        this.elements.thresholdStrategy.addEventListener('change', e => {
+            this.thresholdSettings.strategy = e.target.value;
+            saveThresholdSettings(this.thresholdSettings);
+            this.updateThresholdControls();
+            this.updateHighlighting();
+        });
+        this.elements.thresholdSlider.addEventListener('input', e => {
+            this.thresholdSettings.params[this.thresholdSettings.strategy] = parseFloat(e.target.value);
+            saveThresholdSettings(this.thresholdSettings);
+            this.elements.thresholdParamValue.textContent = this.formatThresholdParam();
+            this.updateHighlighting();
+        });
+        this.residualChart = new ResidualChart(document.getElementById('residual-chart'), {
+            onDrag: value => this.setThresholdValue(value),
+            onDragEnd: () => saveThresholdSettings(this.thresholdSettings)
+        });
+        this.setupMaskControls();
+        this.setupScoreControls();
+        document.getElementById('add-good-btn').addEventListener('click', () => this.addGoodScan());
+        document.getElementById('clear-good-btn').addEventListener('click', () => {
+            if (!this.resultDetectorId) return;
+            try {
+                clearCalibration(this.calibrations, this.calibrationKey());
+            } catch (error) {
+                console.error('Calibration error:', error);
+                alert(`Could not clear calibration: ${error.message}`);
+                return;
+            }
+            this.calibrationCache = null;
+            this.updateThresholdControls();
             this.updateHighlighting();
         });
 
@@ -440,10 +761,14 @@ class App {
         });
 
         this.elements.view3dBtn.addEventListener('click', () => this.switchView('3d'));
+        this.elements.intensityCanvas.addEventListener('dblclick', () => this.resetIntensityZoom());
         this.elements.viewIntensityBtn.addEventListener('click', () => this.switchView('intensity'));
         if (this.elements.viewDatasetsBtn) {
             this.elements.viewDatasetsBtn.addEventListener('click', () => this.switchView('datasets'));
         }
+        if (this.elements.viewStructureBtn) {
+            this.elements.viewStructureBtn.addEventListener('click', () => this.switchView('structure'));
+        }
 
         // Keyboard navigation for multiple files
         document.addEventListener('keydown', e => {
@@ -468,6 +793,44 @@ class App {
             copyDataBtn.addEventListener('click', () => this.copyDataInfo());
         }
 
+        // Export
+        const exportFormat = document.getElementById('export-format');
+        if (exportFormat) {
+            exportFormat.innerHTML = EXPORT_FORMATS
+                .map(format => `<option value="${format.id}">${format.name}</option>`)
+                .join('');
+        }
+        const exportBtn = document.getElementById('export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportCurrentFile(exportFormat.value));
+        }
+
+        // File cache settings
+        const cacheBudgetSelect = document.getElementById('cache-budget-select');
+        const cacheSpillCheckbox = document.getElementById('cache-spill-checkbox');
+        if (cacheBudgetSelect && cacheSpillCheckbox) {
+            cacheBudgetSelect.value = String(this.cacheSettings.budgetMB);
+            cacheSpillCheckbox.checked = this.cacheSettings.spill;
+            const applyCacheSettings = () => {
+                this.cacheSettings = { budgetMB: parseInt(cacheBudgetSelect.value), spill: cacheSpillCheckbox.checked };
+                saveCacheSettings(this.cacheSettings);
+                this.fileCache.configure(this.cacheSettings);
+                this.updateCacheUsage();
+            };
+            cacheBudgetSelect.addEventListener('change', applyCacheSettings);
+            cacheSpillCheckbox.addEventListener('change', applyCacheSettings);
+        }
+
+        // Channel mapping dialog
+        const channelsBtn = document.getElementById('channels-btn');
+        if (channelsBtn) {
+            channelsBtn.addEventListener('click', () => this.openChannelDialog());
+        }
+        const channelWarning = document.getElementById('channel-warning');
+        if (channelWarning) {
+            channelWarning.addEventListener('click', () => this.openChannelDialog());
+        }
+
         // Height scaling controls
         const heightModeAuto = document.getElementById('height-mode-auto');
         const heightModeManual = document.getElementById('height-mode-manual');
@@ -497,7 +860,7 @@ class App {
         if (heightMinSlider) {
             heightMinSlider.addEventListener('input', e => {
                 this.manualHeightMin = parseFloat(e.target.value);
-                if (heightMinValue) heightMinValue.textContent = this.manualHeightMin.toFixed(1);
+                if (heightMinValue) heightMinValue.textContent = this.imageProcessor.formatHeight(this.manualHeightMin, 1);
                 this.updateHeightScaling();
             });
         }
@@ -505,7 +868,7 @@ class App {
         if (heightMaxSlider) {
             heightMaxSlider.addEventListener('input', e => {
                 this.manualHeightMax = parseFloat(e.target.value);
-                if (heightMaxValue) heightMaxValue.textContent = this.manualHeightMax.toFixed(1);
+                if (heightMaxValue) heightMaxValue.textContent = this.imageProcessor.formatHeight(this.manualHeightMax, 1);
                 this.updateHeightScaling();
             });
         }
@@ -528,6 +891,9 @@ class App {
         if (this.elements.datasetGridViewport) {
             this.elements.datasetGridViewport.classList.remove('active');
         }
+        if (this.elements.structureViewport) {
+            this.elements.structureViewport.classList.remove('active');
+        }
         
         // Deactivate all buttons
         this.elements.view3dBtn.classList.remove('active');
@@ -535,6 +901,9 @@ class App {
         if (this.elements.viewDatasetsBtn) {
             this.elements.viewDatasetsBtn.classList.remove('active');
         }
+        if (this.elements.viewStructureBtn) {
+            this.elements.viewStructureBtn.classList.remove('active');
+        }
         
         // Show selected viewport and activate button
         if (view === '3d') {
@@ -543,12 +912,96 @@ class App {
         } else if (view === 'intensity') {
             this.elements.intensityViewport.classList.add('active');
             this.elements.viewIntensityBtn.classList.add('active');
+            if (this.imageLoaded) this.updateIntensityScaleBar();
+            if (this.differenceData && this.overlayDirty) this.updateIntensityOverlay(this.currentThreshold);
         } else if (view === 'datasets' && this.elements.datasetGridViewport) {
             this.elements.datasetGridViewport.classList.add('active');
             if (this.elements.viewDatasetsBtn) {
                 this.elements.viewDatasetsBtn.classList.add('active');
             }
             this.renderDatasetGrid();
+        } else if (view === 'structure' && this.structureBrowser) {
+            this.elements.structureViewport.classList.add('active');
+            if (this.elements.viewStructureBtn) {
+                this.elements.viewStructureBtn.classList.add('active');
+            }
+            this.renderStructureBrowser();
+        }
+    }
+
+    renderStructureBrowser() {
+        if (!this.structureBrowser) return;
+        const processor = this.imageProcessor;
+        this.structureBrowser.setStructure(
+            processor.structure,
+            Object.keys(processor.allDatasets),
+            { surface: processor.surfacePath, intensity: processor.intensityPath }
+        );
+    }
+
+    // Called from the structure browser: swap a channel without reloading the file
+    loadDatasetIntoViews(path, role) {
+        const processor = this.imageProcessor;
+        const surfacePath = role === 'surface' ? path : processor.surfacePath;
+        const intensityPath = role === 'intensity' ? path : processor.intensityPath;
+        this.applyChannelMapping(surfacePath, intensityPath);
+    }
+
+    // Resolves false (and leaves the file untouched) when the channels can't be read or used together
+    async applyChannelMapping(surfacePath, intensityPath) {
+        // Tiles already run used the old channels
+        this.cancelInference('Cancelled: channels changed');
+        const processor = this.imageProcessor;
+        const intensityChanged = intensityPath !== processor.intensityPath;
+        try {
+            await processor.loadDatasets([surfacePath, intensityPath]);
+            // Switched to another file while reading
+            if (processor !== this.imageProcessor) return false;
+            processor.setChannels(surfacePath, intensityPath);
+        } catch (error) {
+            console.error('Could not assign channels:', error);
+            alert('Could not assign channels: ' + error.message);
+            return false;
+        }
+        
+        const fileData = this.loadedFiles[this.currentFileIndex];
+        if (fileData) {
+            fileData.channelMapping = processor.channelMapping;
+            fileData.result = null;
+            this.fileCache.touch(fileData.id);
+            this.updateCacheUsage();
+        }
+        if (fileData && intensityChanged) {
+            fileData.thumbnail = this.generateThumbnail(processor);
+            this.renderThumbnailGallery();
+        }
+        
+        console.log(`Channels: Surface=${surfacePath}, Intensity=${intensityPath}`);
+        this.onFileLoaded();
+        return true;
+    }
+
+    openChannelDialog() {
+        if (!this.channelDialog || !this.imageLoaded) return;
+        const fileData = this.loadedFiles[this.currentFileIndex];
+        this.channelDialog.open(this.imageProcessor, fileData ? fileData.name : '');
+    }
+
+    // Warn when a channel had to be guessed instead of matched by a rule
+    updateChannelWarning() {
+        const warning = document.getElementById('channel-warning');
+        if (!warning) return;
+        
+        const mapping = this.imageProcessor.channelMapping;
+        if (!this.imageProcessor.hasIntensity()) {
+            warning.textContent = '⚠ No intensity channel: the height map is shown in its place and only classical detectors can run.';
+            warning.style.display = 'block';
+        } else if (mapping && mapping.fallback.length > 0) {
+            const roles = mapping.fallback.map(role => role === 'surface' ? 'Height' : 'Intensity').join(' and ');
+            warning.textContent = `⚠ ${roles} channel guessed (no matching rule). Click to review.`;
+            warning.style.display = 'block';
+        } else {
+            warning.style.display = 'none';
         }
     }
 
@@ -560,53 +1013,157 @@ class App {
     }
 
     generateThumbnail(processor) {
-        const canvas = document.createElement('canvas');
-        const size = 128;
-        canvas.width = size;
-        canvas.height = size;
-        const ctx = canvas.getContext('2d');
+        const pixels = renderThumbnail(processor.rawIntensityData, processor.width, processor.height,
+            processor.intensityMin, processor.intensityMax, THUMBNAIL_SIZE);
+        return thumbnailDataUrl(pixels, THUMBNAIL_SIZE);
+    }
+
+    // New loadedFiles entry; the parsed processor goes into the cache, not the entry
+    createFileEntry(name, source, processor, thumbnail) {
+        const entry = {
+            id: `file-${++this.fileCounter}`,
+            name,
+            source, // File or Blob that datasets are read from on demand
+            thumbnail,
+            summary: {
+                format: processor.format,
+                metadata: processor.metadata,
+                structure: processor.structure,
+                datasets: describeDatasets(processor.allDatasets),
+                datasetInfo: processor.datasetInfo
+            },
+            channelMapping: processor.channelMapping
+        };
+        processor.datasetReader = paths => this.readEntryDatasets(entry, paths);
+        this.fileCache.put(entry.id, processor);
+        this.updateCacheUsage();
+        return entry;
+    }
+
+    // Datasets of entry read again from its source file, on a parse worker when there are any
+    async readEntryDatasets(entry, paths) {
+        console.log(`Reading ${paths.join(', ')} from ${entry.name}`);
+        if (!this.parsePool) return readDatasets(entry.source, entry.name, paths);
+        const { datasets } = await this.parsePool.run({ source: entry.source, fileName: entry.name, paths });
+        return datasets;
+    }
+
+    /**
+     * Resident processor, else one rebuilt from the entry's metadata with the datasets spilled
+     * to IndexedDB, reading just the channel datasets from the source file if they weren't.
+     * Other datasets are read when something asks for them (ImageProcessor.loadDatasets).
+     */
+    async getProcessor(entry) {
+        let processor = this.fileCache.get(entry.id);
+        if (processor) return processor;
+        const generation = this.loadGeneration;
         
-        const intensityData = processor.rawIntensityData;
-        const width = processor.width;
-        const height = processor.height;
-        const range = processor.intensityMax - processor.intensityMin;
-        
-        // Downsample to thumbnail size
-        const imageData = ctx.createImageData(size, size);
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                const srcX = Math.floor((x / size) * width);
-                const srcY = Math.floor((y / size) * height);
-                const srcIdx = srcY * width + srcX;
-                const val = intensityData[srcIdx];
-                const normalized = isFinite(val) ? Math.max(0, Math.min(1, (val - processor.intensityMin) / range)) : 0;
-                const gray = Math.floor(normalized * 255);
-                const idx = (y * size + x) * 4;
-                imageData.data[idx] = imageData.data[idx + 1] = imageData.data[idx + 2] = gray;
-                imageData.data[idx + 3] = 255;
+        const loadingMsg = document.getElementById('loading-message');
+        const showLoading = loadingMsg && !this.loadController;
+        if (showLoading) {
+            loadingMsg.textContent = `Loading ${entry.name}...`;
+            loadingMsg.style.display = 'block';
+        }
+        
+        try {
+            const spilled = await this.fileCache.restore(entry.id);
+            const datasets = { ...describeDatasets(entry.summary.datasets), ...(spilled ? spilled.datasets : {}) };
+            const { surface, intensity } = entry.channelMapping;
+            const missing = [...new Set([surface, intensity])].filter(path => !datasets[path].data);
+            if (missing.length > 0) Object.assign(datasets, await this.readEntryDatasets(entry, missing));
+            
+            processor = new ImageProcessor();
+            processor.datasetReader = paths => this.readEntryDatasets(entry, paths);
+            processor.applyImport({ ...entry.summary, datasets }, { datasetInfo: entry.summary.datasetInfo, channelMapping: entry.channelMapping });
+            if (spilled && spilled.result && entry.result) {
+                const { reconstruction, anomaly, detector, height } = spilled.result;
+                processor.setManifest(entry.result.manifest);
+                processor.lastReconstructed = reconstruction;
+                processor.lastAnomaly = anomaly;
+                processor.resultMaps = { result: entry.result, reconstruction, anomaly, scores: new ScoreSet({ detector, height }) };
             }
+            console.log(`Restored ${entry.name} (${spilled ? 'IndexedDB' : 'source file'})`);
+        } finally {
+            if (showLoading) loadingMsg.style.display = 'none';
         }
         
-        ctx.putImageData(imageData, 0, 0);
-        return canvas.toDataURL();
+        // The files were replaced while reading; this entry no longer belongs in the cache
+        if (generation !== this.loadGeneration) return processor;
+        this.fileCache.put(entry.id, processor);
+        this.updateCacheUsage();
+        return processor;
+    }
+
+    updateCacheUsage() {
+        const display = document.getElementById('cache-usage');
+        if (!display) return;
+        const { usedBytes, budgetBytes, resident, spilled } = this.fileCache.usage();
+        const mb = bytes => Math.round(bytes / 1048576);
+        display.textContent = `${mb(usedBytes)} / ${mb(budgetBytes)} MB, ${resident} in memory` +
+            (spilled > 0 ? `, ${spilled} in browser storage` : '');
+    }
+
+    // Parse in the worker pool when available; resolves with { processor, thumbnail }
+    async parseFile(buffer, fileName, { onProgress, signal } = {}) {
+        const processor = new ImageProcessor();
+        if (!this.parsePool) {
+            processor.applyImport(await importFile(buffer, fileName));
+            return { processor, thumbnail: this.generateThumbnail(processor) };
+        }
+        
+        const parsed = await this.parsePool.run(
+            { buffer, fileName, rules: loadRules(), thumbnailSize: THUMBNAIL_SIZE },
+            [buffer],
+            { onProgress, signal }
+        );
+        processor.applyImport(parsed.result, parsed);
+        const thumbnail = parsed.thumbnail
+            ? thumbnailDataUrl(parsed.thumbnail, THUMBNAIL_SIZE)
+            : this.generateThumbnail(processor);
+        return { processor, thumbnail };
     }
 
-    switchToFile(index) {
+    async switchToFile(index) {
         if (index < 0 || index >= this.loadedFiles.length) return;
+        if (this.inferenceRun && !this.inferenceRun.batch && index !== this.currentFileIndex) {
+            this.cancelInference('Cancelled: switched file');
+        }
         
         this.currentFileIndex = index;
         const fileData = this.loadedFiles[index];
+        const token = ++this.switchToken;
+        
+        let processor;
+        try {
+            processor = await this.getProcessor(fileData);
+        } catch (error) {
+            console.error(`Error reloading ${fileData.name}:`, error);
+            alert(`Could not reload ${fileData.name}: ${error.message}`);
+            return;
+        }
+        if (token !== this.switchToken) return;
         
-        // Replace current processor
-        this.imageProcessor = fileData.processor;
+        // Replace current processor; the one on screen is never evicted
+        this.imageProcessor = processor;
+        this.fileCache.pin(fileData.id);
         
         // Reset inference results
         this.differenceData = null;
+        this.currentThreshold = null;
         this.differenceTexture = null;
-        this.elements.percentileControls.style.display = 'none';
+        this.resultLabel = null;
+        this.updateResultLabel();
+        this.elements.thresholdControls.style.display = 'none';
         
         // Update UI
         this.onFileLoaded();
+        if (fileData.result && processor.resultMaps?.result === fileData.result) {
+            this.showResult(fileData.result);
+        } else if (fileData.result) {
+            // The evicted maps couldn't be read back; only the summary is left
+            this.resultLabel = `${fileData.result.label} – could not be restored, run inference again to view`;
+            this.updateResultLabel();
+        }
         this.renderThumbnailGallery(); // Update selection highlight
         
         // Update file counter
@@ -626,6 +1183,7 @@ class App {
 
     renderThumbnailGallery() {
         const gallery = document.getElementById('thumbnail-gallery');
+        document.getElementById('run-all-btn').style.display = this.loadedFiles.length > 1 ? 'block' : 'none';
         if (!gallery || this.loadedFiles.length <= 1) {
             if (gallery) gallery.style.display = 'none';
             return;
@@ -654,6 +1212,15 @@ class App {
             item.appendChild(img);
             item.appendChild(label);
             
+            if (fileData.result) {
+                const { defects } = fileData.result.summary;
+                const badge = document.createElement('div');
+                badge.className = defects > 0 ? 'thumbnail-badge flagged' : 'thumbnail-badge';
+                badge.textContent = defects;
+                badge.title = `${defects} defect(s) · ${fileData.result.label}`;
+                item.appendChild(badge);
+            }
+            
             item.addEventListener('click', () => this.switchToFile(i));
             
             gallery.appendChild(item);
@@ -693,7 +1260,7 @@ class App {
         const datasets = Object.entries(this.imageProcessor.allDatasets);
         if (datasets.length === 0) {
             const message = document.createElement('div');
-            message.textContent = 'No datasets loaded. Please upload or select a DATX file.';
+            message.textContent = 'No datasets loaded. Please upload or select a scan file.';
             message.style.textAlign = 'center';
             message.style.padding = '50px';
             message.style.color = '#888';
@@ -710,6 +1277,7 @@ class App {
         gridContainer.style.padding = '20px';
         gridContainer.style.overflowY = 'auto';
         
+        const unread = [];
         for (const [path, dataset] of datasets) {
             const panel = document.createElement('div');
             panel.className = 'dataset-panel';
@@ -747,7 +1315,11 @@ class App {
             canvas.style.height = 'auto';
             canvas.style.border = '1px solid #555';
             
-            this.imageProcessor.displayDataset(canvas, path);
+            if (dataset.data) {
+                this.imageProcessor.displayDataset(canvas, path);
+            } else {
+                unread.push({ canvas, path });
+            }
             
             canvasContainer.appendChild(canvas);
             panel.appendChild(title);
@@ -755,6 +1327,24 @@ class App {
             panel.appendChild(canvasContainer);
             gridContainer.appendChild(panel);
         }
+        if (unread.length > 0) this.loadGridDatasets(unread);
+    }
+
+    // Datasets that aren't in memory are read, in one go, when the grid shows them
+    async loadGridDatasets(unread) {
+        const processor = this.imageProcessor;
+        const fileData = this.loadedFiles[this.currentFileIndex];
+        try {
+            await processor.loadDatasets(unread.map(({ path }) => path));
+        } catch (error) {
+            console.error('Could not read datasets:', error);
+            return;
+        }
+        if (fileData) {
+            this.fileCache.touch(fileData.id);
+            this.updateCacheUsage();
+        }
+        for (const { canvas, path } of unread) processor.displayDataset(canvas, path);
     }
 
     updateHeightScaling() {
@@ -791,6 +1381,15 @@ class App {
     }
 
     async loadDemoFile(path) {
+        // Like a drop, the demo replaces a load that is still running and stops inference on the old files
+        if (this.loadController) {
+            this.loadController.abort();
+            this.loadController = null;
+            document.getElementById('loading-message').style.display = 'none';
+        }
+        this.cancelInference('Cancelled: new file loaded');
+        const generation = ++this.loadGeneration;
+        
         try {
             const response = await fetch(path);
             if (!response.ok) {
@@ -802,28 +1401,22 @@ class App {
                 throw new Error('Demo file is empty');
             }
             
-            const processor = new ImageProcessor();
-            const success = await processor.loadDATXFile(arrayBuffer);
+            const filename = path.split('/').pop();
+            // Copy before the buffer is transferred to the parse worker
+            const source = new Blob([arrayBuffer]);
+            const { processor, thumbnail } = await this.parseFile(arrayBuffer, filename);
+            if (generation !== this.loadGeneration) return; // Superseded by a newer load
             
-            if (success) {
-                this.imageProcessor = processor;
-                
-                // Add to loaded files for gallery
-                const filename = path.split('/').pop();
-                const thumbnail = this.generateThumbnail(processor);
-                this.loadedFiles = [{
-                    name: filename,
-                    processor: processor,
-                    thumbnail: thumbnail
-                }];
-                this.currentFileIndex = 0;
-                
-                this.onFileLoaded();
-                this.renderThumbnailGallery();
-            } else {
-                // Reset the select box if loading failed
-                this.elements.demoSelect.value = '';
-            }
+            // Add to loaded files for gallery
+            await this.fileCache.clear();
+            if (generation !== this.loadGeneration) return;
+            this.imageProcessor = processor;
+            this.loadedFiles = [this.createFileEntry(filename, source, processor, thumbnail)];
+            this.currentFileIndex = 0;
+            this.fileCache.pin(this.loadedFiles[0].id);
+            
+            this.onFileLoaded();
+            this.renderThumbnailGallery();
         } catch (error) {
             console.error('Error loading demo:', error);
             alert('Error loading demo file: ' + error.message + '\n\nPlease ensure demo files are in the demo_data/ folder.');
@@ -831,69 +1424,137 @@ class App {
         }
     }
 
-    async loadMultipleDatxFiles(files) {
-        const datxFiles = files.filter(f => f.name.toLowerCase().endsWith('.datx'));
-        if (datxFiles.length === 0) {
-            alert('No DATX files found. Please select .datx files.');
+    async loadMultipleFiles(files) {
+        const scanFiles = files.filter(f => isSupportedFile(f.name));
+        if (scanFiles.length === 0) {
+            alert(`No supported files found. Please select ${acceptedExtensions().join(', ')} files.`);
             return;
         }
         
-        console.log(`Loading ${datxFiles.length} DATX file(s)...`);
-        this.loadedFiles = [];
-        
-        // Show loading indicator
-        const loadingMsg = document.getElementById('loading-message');
-        if (loadingMsg) {
-            loadingMsg.style.display = 'block';
-            loadingMsg.textContent = `Loading 0/${datxFiles.length} files...`;
-        }
-        
-        for (let i = 0; i < datxFiles.length; i++) {
-            const file = datxFiles[i];
-            if (loadingMsg) {
-                loadingMsg.textContent = `Loading ${i + 1}/${datxFiles.length}: ${file.name}`;
-            }
-            
-            try {
-                const arrayBuffer = await file.arrayBuffer();
-                const processor = new ImageProcessor();
-                const success = await processor.loadDATXFile(arrayBuffer);
-                
-                if (success) {
-                    // Generate thumbnail
-                    const thumbnail = this.generateThumbnail(processor);
-                    
-                    this.loadedFiles.push({
-                        name: file.name,
-                        processor: processor,
-                        thumbnail: thumbnail
+        // A new drop replaces a load that is still running, and stops inference on the old files
+        if (this.loadController) this.loadController.abort();
+        this.cancelInference('Cancelled: new files loaded');
+        const loadController = new AbortController();
+        this.loadController = loadController;
+        const generation = ++this.loadGeneration;
+        
+        console.log(`Loading ${scanFiles.length} file(s)...`);
+        await this.fileCache.clear();
+        const jobs = scanFiles.map(file => ({ file, status: 'queued', controller: new AbortController() }));
+        loadController.signal.addEventListener('abort', () => jobs.forEach(job => job.controller.abort()));
+        this.renderLoadingMessage(jobs, loadController);
+        
+        // Only as many files are read into memory as there are workers
+        let nextJob = 0;
+        const lanes = this.parsePool ? this.parsePool.size : 1;
+        const runLane = async () => {
+            while (nextJob < jobs.length) {
+                const job = jobs[nextJob++];
+                if (job.controller.signal.aborted) {
+                    job.status = 'cancelled';
+                    continue;
+                }
+                job.status = 'reading';
+                this.renderLoadingMessage(jobs, loadController);
+                try {
+                    const arrayBuffer = await job.file.arrayBuffer();
+                    const { processor, thumbnail } = await this.parseFile(arrayBuffer, job.file.name, {
+                        signal: job.controller.signal,
+                        onProgress: ({ stage, fraction }) => {
+                            job.status = fraction > 0 && fraction < 1 ? `${stage} ${Math.round(fraction * 100)}%` : stage;
+                            this.renderLoadingMessage(jobs, loadController);
+                        }
                     });
-                    
-                    console.log(`Loaded: ${file.name}`);
+                    // A newer load has cleared the cache; don't put this file back into it
+                    if (generation !== this.loadGeneration) throw new CancelledError();
+                    job.loaded = this.createFileEntry(job.file.name, job.file, processor, thumbnail);
+                    job.status = 'done';
+                    console.log(`Loaded: ${job.file.name}`);
+                } catch (error) {
+                    if (error instanceof CancelledError) {
+                        job.status = 'cancelled';
+                    } else {
+                        console.error(`Error loading ${job.file.name}:`, error);
+                        job.status = 'failed';
+                        job.error = error.message;
+                    }
                 }
-            } catch (error) {
-                console.error(`Error loading ${file.name}:`, error);
+                this.renderLoadingMessage(jobs, loadController);
             }
-        }
-        
-        if (loadingMsg) {
-            loadingMsg.style.display = 'none';
-        }
-        
-        if (this.loadedFiles.length > 0) {
+        };
+        await Promise.all(Array.from({ length: lanes }, runLane));
+        
+        // Superseded by a newer load
+        if (this.loadController !== loadController) return;
+        this.loadController = null;
+        document.getElementById('loading-message').style.display = 'none';
+        
+        // Keep the original file order regardless of which worker finished first
+        const loaded = jobs.filter(job => job.loaded).map(job => job.loaded);
+        const failed = jobs.filter(job => job.status === 'failed');
+        if (loaded.length > 0) {
+            this.loadedFiles = loaded;
             this.switchToFile(0);
             this.renderThumbnailGallery();
-        } else {
+        }
+        if (failed.length > 0) {
+            alert(`Failed to load ${failed.length} file(s):\n` + failed.map(job => `${job.file.name}: ${job.error}`).join('\n'));
+        } else if (loaded.length === 0 && !loadController.signal.aborted) {
             alert('Failed to load any files.');
         }
     }
 
-    async loadDatxFile(file) {
-        if (!file.name.toLowerCase().endsWith('.datx')) return;
+    // Per-file status list with cancel buttons in #loading-message
+    renderLoadingMessage(jobs, loadController) {
+        const loadingMsg = document.getElementById('loading-message');
+        if (!loadingMsg || this.loadController !== loadController) return;
+        loadingMsg.style.display = 'block';
+        loadingMsg.innerHTML = '';
+        
+        const finished = jobs.filter(job => ['done', 'failed', 'cancelled'].includes(job.status)).length;
+        const header = document.createElement('div');
+        header.className = 'loading-header';
+        header.textContent = `Loading ${finished}/${jobs.length} files...`;
+        const cancelAll = document.createElement('button');
+        cancelAll.className = 'loading-cancel';
+        cancelAll.textContent = 'Cancel';
+        cancelAll.title = 'Cancel all remaining files';
+        cancelAll.addEventListener('click', () => loadController.abort());
+        header.appendChild(cancelAll);
+        loadingMsg.appendChild(header);
+        
+        const list = document.createElement('div');
+        list.className = 'loading-list';
+        for (const job of jobs) {
+            const row = document.createElement('div');
+            row.className = `loading-file loading-${job.status.split(' ')[0]}`;
+            const name = document.createElement('span');
+            name.className = 'loading-name';
+            name.textContent = job.file.name;
+            name.title = job.error || job.file.name;
+            const status = document.createElement('span');
+            status.textContent = job.status;
+            row.append(name, status);
+            if (!['done', 'failed', 'cancelled'].includes(job.status)) {
+                const cancel = document.createElement('button');
+                cancel.className = 'loading-cancel';
+                cancel.textContent = '×';
+                cancel.title = `Cancel ${job.file.name}`;
+                cancel.addEventListener('click', () => job.controller.abort());
+                row.appendChild(cancel);
+            }
+            list.appendChild(row);
+        }
+        loadingMsg.appendChild(list);
+    }
+
+    async loadFile(file) {
+        if (!isSupportedFile(file.name)) return;
+        this.cancelInference('Cancelled: new file loaded');
         
         try {
             const arrayBuffer = await file.arrayBuffer();
-            const success = await this.imageProcessor.loadDATXFile(arrayBuffer);
+            const success = await this.imageProcessor.loadFile(arrayBuffer, file.name);
             
             if (success) {
                 this.onFileLoaded();
@@ -905,10 +1566,19 @@ class App {
 
     onFileLoaded() {
         this.imageLoaded = true;
-        this.elements.runBtn.disabled = !this.model;
+        this.elements.runBtn.disabled = !this.model || this.isRunning;
+        document.getElementById('run-all-btn').disabled = !this.model || this.isRunning;
+        document.getElementById('export-controls').style.display = 'block';
         this.differenceData = null;
+        this.scores = null;
+        this.currentResult = null;
+        this.residualIndex = null;
+        this.currentThreshold = null;
         this.differenceTexture = null;
-        this.elements.percentileControls.style.display = 'none';
+        this.resultLabel = null;
+        this.updateResultLabel();
+        this.elements.thresholdControls.style.display = 'none';
+        this.clearDefects();
         
         // Update manual height controls with actual data range
         const heightMinSlider = document.getElementById('height-min-slider');
@@ -929,37 +1599,57 @@ class App {
             heightMaxSlider.value = dataMax;
             this.manualHeightMax = dataMax;
             
-            document.getElementById('height-min-value').textContent = dataMin.toFixed(1);
-            document.getElementById('height-max-value').textContent = dataMax.toFixed(1);
+            document.getElementById('height-min-value').textContent = this.imageProcessor.formatHeight(dataMin, 1);
+            document.getElementById('height-max-value').textContent = this.imageProcessor.formatHeight(dataMax, 1);
             
             console.log(`Surface data range: ${dataMin.toFixed(2)} to ${dataMax.toFixed(2)}`);
         }
         
         // Update data info display
         this.updateDataInfoDisplay();
+        this.updateChannelWarning();
+        this.updateDetectorAvailability();
         
         this.imageProcessor.displayIntensity(this.elements.intensityCanvas);
         this.createSurfaceVisualization();
+        this.updateIntensityScaleBar();
+        
+        if (this.currentView === 'structure') {
+            this.renderStructureBrowser();
+        }
     }
 
     updateDataInfoDisplay() {
         const dataInfo = document.getElementById('data-info');
         if (!dataInfo) return;
         
-        const width = this.imageProcessor.width;
-        const height = this.imageProcessor.height;
-        const surfaceMin = this.imageProcessor.surfaceMin;
-        const surfaceMax = this.imageProcessor.surfaceMax;
+        const processor = this.imageProcessor;
+        const width = processor.width;
+        const height = processor.height;
+        const surfaceMin = processor.surfaceMin;
+        const surfaceMax = processor.surfaceMax;
         const surfaceRange = surfaceMax - surfaceMin;
-        const intensityMin = this.imageProcessor.intensityMin;
-        const intensityMax = this.imageProcessor.intensityMax;
+        const intensityMin = processor.intensityMin;
+        const intensityMax = processor.intensityMax;
+        const fov = processor.getFieldOfView();
         
         document.getElementById('dimensions-display').textContent = `${width} × ${height}`;
-        document.getElementById('surface-min-display').textContent = surfaceMin.toFixed(3);
-        document.getElementById('surface-max-display').textContent = surfaceMax.toFixed(3);
-        document.getElementById('surface-range-display').textContent = surfaceRange.toFixed(3);
+        document.getElementById('pixel-size-display').textContent = processor.pixelSize
+            ? `${formatScaleLength(processor.pixelSize.x)} × ${formatScaleLength(processor.pixelSize.y)}`
+            : 'unknown';
+        document.getElementById('field-of-view-display').textContent = fov
+            ? `${formatScaleLength(fov.width)} × ${formatScaleLength(fov.height)}`
+            : 'unknown';
+        document.getElementById('surface-min-display').textContent = processor.formatHeight(surfaceMin);
+        document.getElementById('surface-max-display').textContent = processor.formatHeight(surfaceMax);
+        document.getElementById('surface-range-display').textContent = processor.formatHeight(surfaceRange);
         document.getElementById('intensity-min-display').textContent = intensityMin.toFixed(2);
         document.getElementById('intensity-max-display').textContent = intensityMax.toFixed(2);
+        document.getElementById('invalid-pixels-display').textContent =
+            `${processor.invalidCount} (${(100 * processor.invalidCount / (width * height)).toFixed(2)}%)`;
+        document.getElementById('data-units-note').textContent = processor.heightToMeters != null
+            ? 'Heights in physical units'
+            : 'Original data values (no unit metadata)';
         
         dataInfo.style.display = 'block';
     }
@@ -969,13 +1659,25 @@ class App {
             ? this.loadedFiles[this.currentFileIndex].name 
             : 'Unknown';
         
+        const processor = this.imageProcessor;
+        const fov = processor.getFieldOfView();
+        const pixelSize = processor.pixelSize
+            ? `${formatScaleLength(processor.pixelSize.x)} × ${formatScaleLength(processor.pixelSize.y)}`
+            : 'unknown';
+        const fieldOfView = fov
+            ? `${formatScaleLength(fov.width)} × ${formatScaleLength(fov.height)}`
+            : 'unknown';
+        
         const text = `Data Information: ${filename}
-Dimensions: ${this.imageProcessor.width} × ${this.imageProcessor.height}
-Depth Min: ${this.imageProcessor.surfaceMin.toFixed(3)}
-Depth Max: ${this.imageProcessor.surfaceMax.toFixed(3)}
-Depth Range: ${(this.imageProcessor.surfaceMax - this.imageProcessor.surfaceMin).toFixed(3)}
-Intensity Min: ${this.imageProcessor.intensityMin.toFixed(2)}
-Intensity Max: ${this.imageProcessor.intensityMax.toFixed(2)}`;
+Dimensions: ${processor.width} × ${processor.height}
+Pixel Size: ${pixelSize}
+Field of View: ${fieldOfView}
+Depth Min: ${processor.formatHeight(processor.surfaceMin)}
+Depth Max: ${processor.formatHeight(processor.surfaceMax)}
+Depth Range: ${processor.formatHeight(processor.surfaceMax - processor.surfaceMin)}
+Intensity Min: ${processor.intensityMin.toFixed(2)}
+Intensity Max: ${processor.intensityMax.toFixed(2)}
+Invalid Pixels: ${processor.invalidCount}`;
         
         navigator.clipboard.writeText(text).then(() => {
             const btn = document.getElementById('copy-data-btn');
@@ -996,6 +1698,71 @@ Intensity Max: ${this.imageProcessor.intensityMax.toFixed(2)}`;
         });
     }
 
+    // Scale bar under the intensity image, sized from the canvas' on-screen width
+    updateIntensityScaleBar() {
+        const scaleBar = document.getElementById('intensity-scale-bar');
+        if (!scaleBar) return;
+        
+        const fov = this.imageProcessor.getFieldOfView();
+        const displayWidth = this.elements.intensityCanvas.getBoundingClientRect().width;
+        if (!fov || displayWidth === 0) {
+            scaleBar.style.display = 'none';
+            return;
+        }
+        
+        const metersPerCssPixel = fov.width / displayWidth;
+        const length = niceLength(metersPerCssPixel * 120);
+        scaleBar.querySelector('.scale-bar-line').style.width = `${length / metersPerCssPixel}px`;
+        scaleBar.querySelector('.scale-bar-label').textContent = formatScaleLength(length);
+        scaleBar.style.display = 'block';
+    }
+
+    // Scale bar along the front edge of the 3D plane
+    createScaleBar3D(planeWidth, planeHeight) {
+        if (this.scaleBar3D) {
+            this.scene.remove(this.scaleBar3D);
+            this.scaleBar3D = null;
+        }
+        
+        const fov = this.imageProcessor.getFieldOfView();
+        if (!fov) return;
+        
+        const metersPerUnit = fov.width / planeWidth;
+        const length = niceLength(metersPerUnit * planeWidth * 0.25);
+        const barLength = length / metersPerUnit;
+        const startX = -planeWidth / 2;
+        const z = planeHeight / 2 + 4;
+        
+        const group = new THREE.Group();
+        const lineGeom = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(startX, 0, z), new THREE.Vector3(startX + barLength, 0, z),
+            new THREE.Vector3(startX, 0, z - 1), new THREE.Vector3(startX, 0, z + 1),
+            new THREE.Vector3(startX + barLength, 0, z - 1), new THREE.Vector3(startX + barLength, 0, z + 1)
+        ]);
+        group.add(new THREE.LineSegments(lineGeom, new THREE.LineBasicMaterial({ color: 0xffffff })));
+        
+        const labelCanvas = document.createElement('canvas');
+        labelCanvas.width = 256;
+        labelCanvas.height = 64;
+        const ctx = labelCanvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '32px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(formatScaleLength(length), 128, 32);
+        
+        const label = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(labelCanvas),
+            depthTest: false
+        }));
+        label.scale.set(16, 4, 1);
+        label.position.set(startX + barLength / 2, 3, z);
+        group.add(label);
+        
+        this.scene.add(group);
+        this.scaleBar3D = group;
+    }
+
     createSurfaceVisualization() {
         console.time('Create Surface Visualization (GPU-accelerated)');
         
@@ -1023,8 +1790,8 @@ Intensity Max: ${this.imageProcessor.intensityMax.toFixed(2)}`;
         }
         
         // Create a DataTexture from the surface data for GPU access
-        const width = 1024;
-        const height = 1024;
+        const width = this.imageProcessor.width;
+        const height = this.imageProcessor.height;
         this.surfaceTexture = new THREE.DataTexture(
             surfaceBuffer,
             width,
@@ -1034,8 +1801,25 @@ Intensity Max: ${this.imageProcessor.intensityMax.toFixed(2)}`;
         );
         this.surfaceTexture.needsUpdate = true;
         
+        // Validity as a float texture; the shader shows dropouts in blue and never highlights them
+        this.validityTexture = new THREE.DataTexture(
+            Float32Array.from(this.imageProcessor.validityMask),
+            width,
+            height,
+            THREE.RedFormat,
+            THREE.FloatType
+        );
+        this.validityTexture.needsUpdate = true;
+        
+        // Longest side spans 102.4 scene units; the other keeps the physical
+        // aspect ratio (pixel aspect when the file has no lateral calibration)
+        const fov = this.imageProcessor.getFieldOfView() || { width, height };
+        const maxExtent = Math.max(fov.width, fov.height);
+        const planeWidth = 102.4 * fov.width / maxExtent;
+        const planeHeight = 102.4 * fov.height / maxExtent;
+        
         // Create a grid geometry (points will be displaced by shader)
-        const geometry = new THREE.PlaneGeometry(102.4, 102.4, width - 1, height - 1);
+        const geometry = new THREE.PlaneGeometry(planeWidth, planeHeight, width - 1, height - 1);
         
         // Custom shader material for GPU-accelerated height displacement
         const material = new THREE.ShaderMaterial({
@@ -1044,9 +1828,14 @@ Intensity Max: ${this.imageProcessor.intensityMax.toFixed(2)}`;
                 heightMin: { value: effectiveMin },
                 heightMax: { value: effectiveMax },
                 heightMultiplier: { value: this.heightMultiplier },
+                planeSize: { value: new THREE.Vector2(planeWidth, planeHeight) },
                 pointColor: { value: new THREE.Color(0.5, 0.5, 0.5) },
                 highlightColor: { value: new THREE.Color(1, 0, 0) },
                 differenceTexture: { value: null },
+                maskTexture: { value: null },
+                useMask: { value: 0 },
+                validityTexture: { value: this.validityTexture },
+                invalidColor: { value: new THREE.Color(0.2, 0.4, 0.9) },
                 threshold: { value: 0 },
                 hasHighlight: { value: 0 }
             },
@@ -1055,7 +1844,12 @@ Intensity Max: ${this.imageProcessor.intensityMax.toFixed(2)}`;
                 uniform float heightMin;
                 uniform float heightMax;
                 uniform float heightMultiplier;
+                uniform vec2 planeSize;
                 uniform sampler2D differenceTexture;
+                uniform sampler2D maskTexture;
+                uniform float useMask;
+                uniform sampler2D validityTexture;
+                uniform vec3 invalidColor;
                 uniform float threshold;
                 uniform float hasHighlight;
                 
@@ -1063,7 +1857,7 @@ Intensity Max: ${this.imageProcessor.intensityMax.toFixed(2)}`;
                 
                 void main() {
                     // Get UV coordinates
-                    vec2 uv = vec2(position.x / 102.4 + 0.5, position.y / 102.4 + 0.5);
+                    vec2 uv = position.xy / planeSize + 0.5;
                     
                     // Sample height from texture
                     float height = texture2D(surfaceTexture, uv).r;
@@ -1080,10 +1874,15 @@ Intensity Max: ${this.imageProcessor.intensityMax.toFixed(2)}`;
                         // Map to correct axes: X stays X, height goes to Y (up), Z comes from position.y
                         pos = vec3(position.x, scaledHeight, position.y);
                         
-                        // Check for highlighting
-                        if (hasHighlight > 0.5) {
-                            float diff = texture2D(differenceTexture, uv).r;
-                            if (diff >= threshold) {
+                        // Dropouts (e.g. intensity missing) are marked, then highlighting
+                        if (texture2D(validityTexture, uv).r < 0.5) {
+                            vColor = invalidColor;
+                        } else if (hasHighlight > 0.5) {
+                            // Post-processed masks come from the CPU; otherwise threshold here
+                            bool flagged = useMask > 0.5
+                                ? texture2D(maskTexture, uv).r > 0.5
+                                : texture2D(differenceTexture, uv).r >= threshold;
+                            if (flagged) {
                                 vColor = vec3(1.0, 0.0, 0.0);
                             } else {
                                 vColor = vec3(0.5, 0.5, 0.5);
@@ -1117,87 +1916,641 @@ Intensity Max: ${this.imageProcessor.intensityMax.toFixed(2)}`;
         
         // Store references for updates
         this.pointsMaterial = material;
+        this.planeSize = { width: planeWidth, height: planeHeight };
+        
+        this.createScaleBar3D(planeWidth, planeHeight);
         
         console.timeEnd('Create Surface Visualization (GPU-accelerated)');
         console.log(`GPU rendering: ${width * height} points processed in parallel on GPU`);
     }
 
-    updateProgress(current, total) {
-        const pct = (current / total) * 100;
-        this.elements.progressFill.style.width = `${pct}%`;
-        this.elements.progressText.textContent = `Processing ${current}/${total}`;
+    // Progress bar and "#progress-text" for run; label says what is being processed
+    updateProgress(run, fraction, label) {
+        this.elements.progressFill.style.width = `${fraction * 100}%`;
+        const parts = [label];
+        if (run.tileTimes.length > 0) parts.push(`${formatDuration(run.lastTileMs)}/tile`);
+        if (run.paused) parts.push('paused');
+        else if (fraction < 1) parts.push(`ETA ${formatDuration(run.eta(fraction))}`);
+        this.elements.progressText.textContent = parts.join(' · ');
     }
 
-    async runInference() {
-        if (this.isRunning || !this.model || !this.imageLoaded) return;
+    setRunning(run) {
+        this.inferenceRun = run;
+        this.isRunning = !!run;
+        this.elements.runBtn.disabled = this.isRunning || !this.model || !this.imageLoaded;
+        const runAllBtn = document.getElementById('run-all-btn');
+        if (runAllBtn) runAllBtn.disabled = this.isRunning || !this.model;
+        const detectorSelect = document.getElementById('detector-select');
+        if (detectorSelect) detectorSelect.disabled = this.isRunning;
+        const backendSelect = document.getElementById('backend-select');
+        if (backendSelect) backendSelect.disabled = this.isRunning;
+        const pauseBtn = document.getElementById('pause-btn');
+        pauseBtn.textContent = 'Pause';
+        pauseBtn.disabled = !run;
+        document.getElementById('cancel-run-btn').disabled = !run;
+        if (run) {
+            this.elements.progressFill.style.width = '0%';
+            this.elements.progressText.textContent = 'Preparing...';
+            this.elements.progressDiv.style.display = 'block';
+        } else {
+            setTimeout(() => {
+                if (!this.inferenceRun) this.elements.progressDiv.style.display = 'none';
+            }, 1000);
+        }
+    }
 
-        this.isRunning = true;
-        this.elements.runBtn.disabled = true;
-        this.elements.progressDiv.style.display = 'block';
+    togglePause() {
+        const run = this.inferenceRun;
+        if (!run) return;
+        if (run.paused) run.resume();
+        else run.pause();
+        document.getElementById('pause-btn').textContent = run.paused ? 'Resume' : 'Pause';
+        this.elements.progressText.textContent = run.paused ? 'Paused' : 'Resuming...';
+    }
 
-        const outputs = [];
+    // Stop the run in progress at the next tile; its partial output is thrown away
+    cancelInference(reason = 'Cancelled') {
+        const run = this.inferenceRun;
+        if (!run || run.cancelled) return;
+        run.cancel();
+        console.log(`Inference cancelled: ${reason}`);
+        this.elements.progressText.textContent = reason;
+    }
 
-        try {
-            for (let gridY = 0; gridY < 4; gridY++) {
-                for (let gridX = 0; gridX < 4; gridX++) {
-                    const cropIndex = gridY * 4 + gridX + 1;
-                    this.updateProgress(cropIndex, 16);
+    /**
+     * Run model over processor with the current overlap and inpainting. Between tiles the run
+     * may pause or throw CancelledError, so nothing is written to the processor's results
+     * unless every tile finished. onTile(done, count) reports progress.
+     */
+    async detectOn(processor, model, run, onTile) {
+        processor.tileOverlap = this.tileOverlap;
+        processor.inpaintMethod = this.inpaintMethod;
+        if (model.mode === 'tiles' && model.manifest.input.channels.includes('intensity') && !processor.hasIntensity()) {
+            throw new Error(`${model.manifest.name} needs an intensity channel, which this file does not have`);
+        }
+        processor.setManifest(model.manifest);
+        processor.prepareInferenceInput();
+        await run.checkpoint();
+
+        if (model.mode === 'image') {
+            // Whole-image detectors run as one step and can only be stopped before or after it
+            onTile(0, 1);
+            const start = performance.now();
+            const output = await model.detect(processor);
+            run.recordTile(performance.now() - start);
+            await run.checkpoint();
+            onTile(1, 1);
+            return processor.setDetectorOutput(output);
+        }
+        
+        // Batches of tiles go to the inference workers as they free up; outputs are views into each batch's result
+        const layout = processor.getTileLayout();
+        const lanes = model.worker && this.inferencePool ? this.inferencePool.size : 1;
+        const batchSize = Math.max(1, Math.min(MAX_TILE_BATCH, Math.floor(layout.count / (lanes * 4))));
+        const tileLength = model.manifest.input.channels.length * processor.tileSize * processor.tileSize;
+        const runBatch = this.batchRunner(model, run);
+        const outputs = new Array(layout.count);
+        let next = 0;
+        let done = 0;
+        let failed = false;
+        const runLane = async () => {
+            while (next < layout.count && !failed) {
+                await run.checkpoint();
+                if (next >= layout.count || failed) return;
+                const first = next;
+                const count = Math.min(batchSize, layout.count - first);
+                next += count;
+                
+                const tiles = new Float32Array(count * tileLength);
+                for (let n = 0; n < count; n++) {
+                    const { x, y } = layout.tiles[first + n];
+                    processor.processCrop(x, y, tiles.subarray(n * tileLength, (n + 1) * tileLength));
+                }
+                const start = performance.now();
+                let result;
+                try {
+                    result = await runBatch(tiles, count);
+                } catch (error) {
+                    failed = true; // The other lanes stop after their current batch
+                    throw error;
+                }
+                const elapsed = performance.now() - start;
+                const [, height, width] = result.shape;
+                for (let n = 0; n < count; n++) {
+                    run.recordTile(elapsed / count);
+                    outputs[first + n] = result.data.subarray(n * height * width, (n + 1) * height * width);
+                }
+                done += count;
+                onTile(done, layout.count);
 
-                    const cropData = this.imageProcessor.processCrop(gridX, gridY);
-                    const output = await this.model.inference(cropData);
-                    outputs.push(Array.isArray(output) ? output : Array.from(output));
+                // Let clicks on Pause/Cancel and file switches through between batches
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        };
+        onTile(0, layout.count);
+        await Promise.all(Array.from({ length: Math.min(lanes, Math.ceil(layout.count / batchSize)) }, runLane));
+        await run.checkpoint();
+        return processor.combineOutputs(outputs, layout);
+    }
 
-                    await new Promise(resolve => setTimeout(resolve, 10));
+    /**
+     * (tiles, count) => { data, shape } for model: on the inference worker pool when the model can
+     * be shared with workers, else on the main thread one batch at a time. If a worker can't run
+     * the model (no WebGPU in workers, say) the remaining batches fall back to the main thread.
+     * A batch that hits a lost device or GPU error is retried: the pool restarts the worker it
+     * ran on, and the main-thread model is reinitialized first.
+     */
+    batchRunner(model, run) {
+        let serial = Promise.resolve();
+        const onMainThread = (tiles, count) => {
+            const result = serial.then(async () => {
+                if (this.pendingGPUFailure) await this.recoverGPU(model, this.pendingGPUFailure);
+                return model.inferBatch(tiles, count);
+            });
+            serial = result.catch(() => {});
+            return result;
+        };
+        const onWorkers = async (tiles, count) => {
+            const { moduleUrl, className, module, backend } = model.worker;
+            const { manifest } = model;
+            const { data, shape } = await this.inferencePool.run({ moduleUrl, className, module, backend, manifest, tiles, count }, [], { signal: run.signal });
+            return { data, shape };
+        };
+        
+        return async (tiles, count) => {
+            let retries = 0;
+            for (;;) {
+                const useWorkers = model.worker && this.inferencePool && this.workerInference;
+                try {
+                    const result = useWorkers ? await onWorkers(tiles, count) : await onMainThread(tiles, count);
+                    if (retries > 0) this.showGPUNotice(`Recovered from a GPU failure; ${count} tile(s) rerun.`, 'success');
+                    return result;
+                } catch (error) {
+                    if (error instanceof CancelledError) throw error;
+                    if (error.name === 'GPUFailure' && retries < MAX_GPU_RETRIES) {
+                        retries++;
+                        run.gpuRecoveries++;
+                        if (useWorkers) {
+                            this.showGPUNotice(`${error.message}. Restarted the inference worker; retrying.`, 'warning');
+                        } else {
+                            await this.recoverGPU(model, error);
+                        }
+                        continue;
+                    }
+                    if (useWorkers) {
+                        console.warn('Worker inference failed, continuing on the main thread:', error.message);
+                        this.workerInference = false;
+                        continue;
+                    }
+                    if (error.name === 'GPUFailure') this.showGPUNotice(`GPU recovery failed: ${error.message}`, 'error');
+                    throw error;
                 }
             }
-            
-            if (this.imageProcessor.combineOutputs(outputs)) {
-                this.createDifferenceData();
-                this.elements.percentileControls.style.display = 'block';
-                this.updateHighlighting();
+        };
+    }
+
+    // Reinitialize model after a main-thread GPU failure; lanes that fail together share one recovery
+    recoverGPU(model, failure) {
+        if (!this.gpuRecovery) {
+            this.showGPUNotice(`${failure.message}. Reinitializing the model...`, 'warning');
+            this.gpuRecovery = model.reinitialize()
+                .then(() => {
+                    this.pendingGPUFailure = null;
+                    console.log('Model reinitialized after GPU failure');
+                })
+                .catch(error => {
+                    this.showGPUNotice(`Could not reinitialize the model: ${error.message}`, 'error');
+                    throw error;
+                })
+                .finally(() => {
+                    this.gpuRecovery = null;
+                });
+        }
+        return this.gpuRecovery;
+    }
+
+    // Failures outside a run (or on the main thread while workers run) are recovered before the model is next used
+    onGPUFailure(failure) {
+        if (!this.model || this.model.backend !== 'webgpu' || !this.model.reinitialize) return;
+        this.pendingGPUFailure = failure;
+        if (this.isRunning) return;
+        this.recoverGPU(this.model, failure)
+            .then(() => this.showGPUNotice('The GPU failed while idle; the model was reinitialized.', 'success'))
+            .catch(() => {});
+    }
+
+    // level: 'warning' while recovering, 'success' once recovered (fades), 'error' if recovery failed (click to dismiss)
+    showGPUNotice(message, level) {
+        const notice = document.getElementById('gpu-notice');
+        if (!notice) return;
+        clearTimeout(this.gpuNoticeTimer);
+        notice.textContent = message;
+        notice.className = `gpu-notice ${level}`;
+        notice.style.display = 'block';
+        if (level === 'success') {
+            this.gpuNoticeTimer = setTimeout(() => {
+                notice.style.display = 'none';
+            }, 8000);
+        }
+    }
+
+    async runInference() {
+        if (this.isRunning || !this.model || !this.imageLoaded) return;
+
+        const processor = this.imageProcessor;
+        const fileData = this.loadedFiles[this.currentFileIndex];
+        const detector = this.detectors.active;
+        const model = this.model;
+        const run = new InferenceRun();
+        this.setRunning(run);
+
+        try {
+            const produced = await this.detectOn(processor, model, run, (done, count) => {
+                this.updateProgress(run, done / count, `Tile ${done}/${count}`);
+            });
+            if (produced) {
+                const timing = { ...run.timing(), elapsedMs: run.activeMs, gpuRecoveries: run.gpuRecoveries };
+                console.log(`Inference: ${timing.tiles} tile(s), ${formatDuration(timing.meanMs)}/tile (${formatDuration(timing.minMs)}–${formatDuration(timing.maxMs)}), ${formatDuration(timing.elapsedMs)} total`);
+                const result = this.createResult(processor, detector, model, timing);
+                if (fileData) {
+                    fileData.result = result;
+                    this.fileCache.touch(fileData.id);
+                    this.updateCacheUsage();
+                }
+                if (processor === this.imageProcessor) this.showResult(result);
             }
             
         } catch (error) {
-            console.error('Inference error:', error);
+            if (!(error instanceof CancelledError)) console.error('Inference error:', error);
         } finally {
-            this.isRunning = false;
-            this.elements.runBtn.disabled = false;
-            setTimeout(() => {
-                this.elements.progressDiv.style.display = 'none';
-            }, 1000);
+            this.setRunning(null);
         }
     }
 
-    createDifferenceData() {
-        const intensityData = this.imageProcessor.rawIntensityData;
-        const reconstructedData = this.imageProcessor.lastReconstructed;
+    /**
+     * Every loaded file in turn; results are kept on the file entries, so switching shows them
+     * at once. Switching files doesn't stop a batch (each result goes to its own entry), loading
+     * new files does.
+     */
+    async runAllInference() {
+        if (this.isRunning || !this.model || this.loadedFiles.length === 0) return;
+
+        const detector = this.detectors.active;
+        const model = this.model;
+        const entries = [...this.loadedFiles];
+        const failures = [];
+        const run = new InferenceRun({ batch: true });
+        this.setRunning(run);
+        console.time('Run all');
+
+        for (let f = 0; f < entries.length && !run.cancelled; f++) {
+            const entry = entries[f];
+            const firstTile = run.tileTimes.length;
+            const startedMs = run.activeMs;
+            const startedRecoveries = run.gpuRecoveries;
+            try {
+                const processor = await this.getProcessor(entry);
+                const produced = await this.detectOn(processor, model, run, (done, count) => {
+                    this.updateProgress(run, (f + done / count) / entries.length, `File ${f + 1}/${entries.length}: ${entry.name} · ${done}/${count}`);
+                });
+                if (!produced) throw new Error('The detector produced no output');
+                
+                entry.result = this.createResult(processor, detector, model, {
+                    ...run.timing(firstTile),
+                    elapsedMs: run.activeMs - startedMs,
+                    gpuRecoveries: run.gpuRecoveries - startedRecoveries
+                });
+                this.fileCache.touch(entry.id);
+                if (processor === this.imageProcessor) this.showResult(entry.result);
+                this.renderThumbnailGallery();
+            } catch (error) {
+                if (error instanceof CancelledError) break;
+                console.error(`Inference error (${entry.name}):`, error);
+                failures.push(`${entry.name}: ${error.message}`);
+            }
+        }
+
+        console.timeEnd('Run all');
+        this.updateCacheUsage();
+        this.setRunning(null);
+        const processed = entries.filter(entry => entry.result).length;
+        const flagged = entries.filter(entry => entry.result && entry.result.summary.defects > 0).length;
+        console.log(`Run all: ${processed}/${entries.length} processed, ${flagged} with defects${run.cancelled ? ' (cancelled)' : ''}`);
+        if (failures.length > 0) {
+            alert(`Inference failed for ${failures.length} file(s):\n${failures.join('\n')}`);
+        }
+    }
+
+    /**
+     * Everything needed to show or export a file's results later, without rerunning the detector.
+     * The returned info (label, provenance, timing, summary) goes on the file entry; the output and
+     * score maps go on the processor as resultMaps, so the file cache counts and evicts them with it.
+     */
+    createResult(processor, detector, model, timing) {
+        const result = {
+            detectorId: detector.id,
+            label: detector.user
+                ? `${detector.name} [${detector.sha256.slice(0, 8)}]`
+                : `${detector.name} (${model.manifest.name} v${model.manifest.version})`,
+            manifest: model.manifest,
+            inpaintMethod: processor.inferenceInputMethod,
+            tileOverlap: processor.tileOverlap,
+            tileSize: processor.tileSize,
+            sha256: model.sha256 || null,
+            backend: model.backend,
+            backendLabel: this.backendLabel(model.backend),
+            timing
+        };
+        const scores = this.buildScores(processor);
+        processor.resultMaps = { result, reconstruction: processor.lastReconstructed, anomaly: processor.lastAnomaly, scores };
+        result.summary = this.summarizeResult(scores, result.detectorId, processor);
+        return result;
+    }
+
+    // result is a file entry's result; its maps must be on the current processor
+    showResult(result) {
+        const processor = this.imageProcessor;
+        const maps = processor.resultMaps;
+        processor.setManifest(result.manifest);
+        processor.lastReconstructed = maps.reconstruction;
+        processor.lastAnomaly = maps.anomaly;
+        
+        this.currentResult = result;
+        this.resultLabel = result.label;
+        this.resultDetectorId = result.detectorId;
+        this.updateResultLabel();
+        this.scores = maps.scores;
+        this.selectScoreMap(this.scoreSettings.map);
+        this.elements.thresholdControls.style.display = 'block';
+        this.updateThresholdControls();
+        this.updateHighlighting();
+    }
+
+    // Defect count under the current map, threshold and mask settings, for the gallery and batch log
+    summarizeResult(scores, detectorId, processor) {
+        const { map, heightWeight } = this.scoreSettings;
+        const index = scores.index(map, heightWeight);
+        const { threshold, description } = this.evaluateThreshold(index, detectorId);
+        const mask = threshold == null ? null : this.buildDefectMask(scores.map(map, heightWeight), threshold, processor);
+        let flaggedPixels = 0;
+        if (mask) {
+            for (let i = 0; i < mask.length; i++) flaggedPixels += mask[i];
+        }
+        return {
+            map,
+            threshold,
+            thresholdDescription: description,
+            defects: mask ? labelComponents(mask, processor.width, processor.height).count : 0,
+            flaggedPixels
+        };
+    }
+
+    buildScores(processor) {
+        const mask = processor.validityMask;
+        
+        const detectorMap = new Float32Array(mask.length);
+        
+        // Anomaly models output the score directly; reconstructions are compared with their input channel
+        const anomaly = processor.lastAnomaly;
+        const reconstructedData = processor.lastReconstructed;
+        const sourceData = processor.channelData(processor.manifest.output.channel);
+        
+        // Dropouts stay NaN so they never count towards the threshold or the defects
+        for (let i = 0; i < mask.length; i++) {
+            const value = anomaly ? anomaly[i] : Math.abs(sourceData[i] - reconstructedData[i]);
+            detectorMap[i] = mask[i] && isFinite(value) ? value : NaN;
+        }
+        
+        // Height is scored by a local median residual whatever the detector looked at
+        console.time('Height anomaly');
+        const heightMap = heightAnomaly(processor.inpaintedChannel('surface'), mask, processor.width, processor.height);
+        console.timeEnd('Height anomaly');
         
-        this.differenceData = new Float32Array(intensityData.length);
+        return new ScoreSet({ detector: detectorMap, height: heightMap });
+    }
+
+    // Threshold, overlay, 3D highlight, defects and export all follow the selected map
+    selectScoreMap(map) {
+        if (!this.scores) return;
+        const { heightWeight } = this.scoreSettings;
+        this.differenceData = this.scores.map(map, heightWeight);
         this.diffMin = null;
         this.diffMax = null;
         this.differenceTexture = null; // Reset texture so it gets recreated with new data
+        this.residualIndex = this.scores.index(map, heightWeight);
+        this.residualChart.setData(this.residualIndex);
+        this.updateScoreControls();
+        // A fused map or index built just now adds to the file's cached size
+        const fileData = this.loadedFiles[this.currentFileIndex];
+        if (fileData) {
+            this.fileCache.touch(fileData.id);
+            this.updateCacheUsage();
+        }
+    }
+
+    updateScoreControls() {
+        const { map, heightWeight } = this.scoreSettings;
+        const detectorLabel = this.imageProcessor.manifest
+            ? `Score: ${SCORE_MAPS.detector} (${this.imageProcessor.manifest.output.channel})`
+            : `Score: ${SCORE_MAPS.detector}`;
+        const select = document.getElementById('score-map-select');
+        select.options[0].textContent = detectorLabel;
+        select.value = map;
+        document.getElementById('height-weight-group').style.display = map === 'fused' ? 'block' : 'none';
+        document.getElementById('height-weight-slider').value = heightWeight;
+        document.getElementById('height-weight-value').textContent = describeWeights(heightWeight);
+        document.getElementById('heat-map-checkbox').checked = this.scoreSettings.heatMap;
+        document.getElementById('heat-map-range').style.display = this.scoreSettings.heatMap ? 'inline' : 'none';
+    }
+
+    setupScoreControls() {
+        const select = document.getElementById('score-map-select');
+        select.innerHTML = Object.entries(SCORE_MAPS)
+            .map(([id, name]) => `<option value="${id}">Score: ${name}</option>`)
+            .join('');
+        select.addEventListener('change', e => {
+            this.scoreSettings.map = e.target.value;
+            saveScoreSettings(this.scoreSettings);
+            this.selectScoreMap(this.scoreSettings.map);
+            this.updateThresholdControls();
+            this.updateHighlighting();
+        });
         
-        for (let i = 0; i < intensityData.length; i++) {
-            if (isFinite(intensityData[i]) && isFinite(reconstructedData[i])) {
-                this.differenceData[i] = Math.abs(intensityData[i] - reconstructedData[i]);
+        const slider = document.getElementById('height-weight-slider');
+        slider.addEventListener('input', e => {
+            document.getElementById('height-weight-value').textContent = describeWeights(parseFloat(e.target.value));
+        });
+        // Re-fusing and re-indexing a full map is too slow for every input event
+        slider.addEventListener('change', e => {
+            this.scoreSettings.heightWeight = parseFloat(e.target.value);
+            saveScoreSettings(this.scoreSettings);
+            if (!this.scores) return;
+            this.selectScoreMap(this.scoreSettings.map);
+            this.updateThresholdControls();
+            this.updateHighlighting();
+        });
+        
+        document.getElementById('heat-map-checkbox').addEventListener('change', e => {
+            this.scoreSettings.heatMap = e.target.checked;
+            saveScoreSettings(this.scoreSettings);
+            this.updateScoreControls();
+            if (this.differenceData) this.scheduleHighlightRefresh();
+        });
+        this.updateScoreControls();
+    }
+
+    // Current strategy's setting; absolute defaults to the 99th percentile of this scan
+    thresholdParam(index = this.residualIndex) {
+        const { strategy, params } = this.thresholdSettings;
+        const spec = THRESHOLD_STRATEGIES[strategy].param;
+        if (!spec) return null;
+        if (params[strategy] != null) return params[strategy];
+        if (strategy === 'absolute') {
+            return index ? computeThreshold(index, 'percentile', 99) : 0;
+        }
+        return spec.value;
+    }
+
+    formatThresholdParam() {
+        const spec = THRESHOLD_STRATEGIES[this.thresholdSettings.strategy].param;
+        return spec ? `${formatParam(this.thresholdParam())}${spec.suffix}` : '';
+    }
+
+    // Slider range and label for the current strategy; calibration buttons when it's 'calibrated'
+    updateThresholdControls() {
+        const { strategy } = this.thresholdSettings;
+        const spec = THRESHOLD_STRATEGIES[strategy].param;
+        const slider = this.elements.thresholdSlider;
+        document.getElementById('threshold-param-group').style.display = spec ? 'block' : 'none';
+        if (spec) {
+            if (strategy === 'absolute') {
+                const max = this.residualIndex ? this.residualIndex.max : 1;
+                slider.min = 0;
+                slider.max = max;
+                slider.step = max / 500 || 1;
             } else {
-                this.differenceData[i] = 0;
+                slider.min = spec.min;
+                slider.max = spec.max;
+                slider.step = spec.step;
             }
+            slider.value = this.thresholdParam();
+            this.elements.thresholdParamLabel.textContent = spec.label;
+            this.elements.thresholdParamValue.textContent = this.formatThresholdParam();
+        }
+        
+        const calibrating = strategy === 'calibrated';
+        document.getElementById('calibration-controls').style.display = calibrating ? 'block' : 'none';
+        if (calibrating) {
+            const calibration = this.currentCalibration();
+            document.getElementById('calibration-info').textContent = calibration
+                ? `${calibration.files.length} good scan(s): ${calibration.files.join(', ')}`
+                : 'No known-good scans for this detector yet.';
+        }
+    }
+
+    addGoodScan() {
+        if (!this.residualIndex || !this.resultDetectorId) return;
+        const fileData = this.loadedFiles[this.currentFileIndex];
+        const fileName = fileData ? fileData.name : 'scan';
+        try {
+            addCalibrationScan(this.calibrations, this.calibrationKey(), fileName, this.residualIndex);
+            this.calibrationCache = null;
+        } catch (error) {
+            console.error('Calibration error:', error);
+            alert(`Could not store calibration: ${error.message}`);
+            return;
+        }
+        console.log(`Calibration: added ${fileName} for ${this.calibrationKey()}`);
+        this.updateThresholdControls();
+        this.updateHighlighting();
+    }
+
+    // Each score map has its own residual scale, so calibrations are kept per detector and map
+    calibrationKey(detectorId = this.resultDetectorId) {
+        const { map, heightWeight } = this.scoreSettings;
+        if (map === 'detector') return detectorId;
+        if (map === 'fused') return `${detectorId}:fused:${heightWeight}`;
+        return `${detectorId}:${map}`;
+    }
+
+    // Known-good residuals for the detector and map behind the current result, pooled once
+    currentCalibration(detectorId = this.resultDetectorId) {
+        if (!detectorId) return null;
+        const key = this.calibrationKey(detectorId);
+        if (!this.calibrationCache || this.calibrationCache.key !== key) {
+            this.calibrationCache = { key, calibration: getCalibration(this.calibrations, key) };
+        }
+        return this.calibrationCache.calibration;
+    }
+
+    // Move the cut to value (chart drag); strategies without a param switch to an absolute threshold
+    setThresholdValue(value) {
+        if (!this.residualIndex) return;
+        let { strategy } = this.thresholdSettings;
+        const calibration = strategy === 'calibrated' ? this.currentCalibration() : null;
+        let param = paramForThreshold(this.residualIndex, strategy, value, calibration);
+        if (param == null) {
+            strategy = 'absolute';
+            param = value;
+            this.thresholdSettings.strategy = strategy;
+            this.elements.thresholdStrategy.value = strategy;
         }
+        this.thresholdSettings.params[strategy] = param;
+        this.updateThresholdControls();
+        this.updateHighlighting();
+    }
+
+    // Cheap parts (uniforms, chart, labels) update immediately; overlay and defect list are coalesced
+    // { threshold, strategy, param, description, calibrationScans? } under the current settings
+    evaluateThreshold(index, detectorId = this.resultDetectorId) {
+        const { strategy } = this.thresholdSettings;
+        const param = this.thresholdParam(index);
+        const calibration = strategy === 'calibrated' ? this.currentCalibration(detectorId) : null;
+        const info = {
+            threshold: index ? computeThreshold(index, strategy, param, calibration) : null,
+            strategy,
+            param,
+            description: describeThreshold(strategy, param)
+        };
+        if (calibration) info.calibrationScans = calibration.files;
+        return info;
     }
 
     updateHighlighting() {
-        if (!this.differenceData || !this.points) return;
+        if (!this.differenceData || !this.points || !this.residualIndex) return;
 
-        const validDiffs = this.differenceData.filter(d => isFinite(d) && d > 0);
-        if (validDiffs.length === 0) return;
+        const { threshold, ...thresholdInfo } = this.evaluateThreshold(this.residualIndex);
+        this.currentThreshold = threshold;
+        this.thresholdInfo = thresholdInfo;
         
-        validDiffs.sort((a, b) => a - b);
-        const thresholdIdx = Math.floor((this.currentPercentile / 100) * validDiffs.length);
-        const threshold = validDiffs[Math.min(thresholdIdx, validDiffs.length - 1)];
+        document.getElementById('threshold-display').textContent = threshold == null
+            ? 'Threshold: -- (calibrate first)'
+            : `Threshold: ${threshold.toPrecision(4)}`;
 
         this.updatePointCloud(threshold);
-        this.updateIntensityOverlay(threshold);
+        this.residualChart.render(threshold);
+        this.scheduleHighlightRefresh();
+    }
+
+    // Overlay at most once per frame (and only while visible); defects once the threshold settles
+    scheduleHighlightRefresh() {
+        this.overlayDirty = true;
+        if (!this.overlayFrame) {
+            this.overlayFrame = requestAnimationFrame(() => {
+                this.overlayFrame = null;
+                if (this.differenceData && !isIdentity(this.maskSettings)) this.updateMaskTexture();
+                if (this.currentView === 'intensity' && this.differenceData) {
+                    this.updateIntensityOverlay(this.currentThreshold);
+                }
+            });
+        }
+        clearTimeout(this.defectTimer);
+        this.defectTimer = setTimeout(() => {
+            if (!this.differenceData) return;
+            this.updateDefects();
+            // The selected defect may have gone; redraw its box
+            if (this.currentView === 'intensity') this.updateIntensityOverlay(this.currentThreshold);
+        }, 150);
     }
 
     updatePointCloud(threshold) {
@@ -1207,8 +2560,8 @@ Intensity Max: ${this.imageProcessor.intensityMax.toFixed(2)}`;
         if (!this.differenceTexture) {
             this.differenceTexture = new THREE.DataTexture(
                 this.differenceData,
-                1024,
-                1024,
+                this.imageProcessor.width,
+                this.imageProcessor.height,
                 THREE.RedFormat,
                 THREE.FloatType
             );
@@ -1217,22 +2570,96 @@ Intensity Max: ${this.imageProcessor.intensityMax.toFixed(2)}`;
         }
         
         // Update shader uniforms - GPU does the rest!
-        this.pointsMaterial.uniforms.threshold.value = threshold;
-        this.pointsMaterial.uniforms.hasHighlight.value = 1;
-        this.differenceTexture.needsUpdate = true;
+        this.pointsMaterial.uniforms.threshold.value = threshold ?? 0;
+        this.pointsMaterial.uniforms.hasHighlight.value = threshold == null ? 0 : 1;
+        this.pointsMaterial.uniforms.useMask.value = isIdentity(this.maskSettings) ? 0 : 1;
+    }
+
+    // Upload the post-processed mask for the shader (only used when post-processing is on)
+    updateMaskTexture() {
+        if (!this.pointsMaterial) return;
+        const mask = this.getDefectMask();
+        const { width, height } = this.imageProcessor;
+        if (!this.maskTexture || this.maskTexture.image.width !== width || this.maskTexture.image.height !== height) {
+            if (this.maskTexture) this.maskTexture.dispose();
+            this.maskTexture = new THREE.DataTexture(new Float32Array(width * height), width, height, THREE.RedFormat, THREE.FloatType);
+        }
+        const data = this.maskTexture.image.data;
+        for (let i = 0; i < data.length; i++) data[i] = mask && mask[i] ? 1 : 0;
+        this.maskTexture.needsUpdate = true;
+        this.pointsMaterial.uniforms.maskTexture.value = this.maskTexture;
+    }
+
+    setupMaskControls() {
+        const elementSelect = document.getElementById('mask-element');
+        elementSelect.innerHTML = Object.entries(STRUCTURING_ELEMENTS)
+            .map(([id, { name }]) => `<option value="${id}">${name}</option>`)
+            .join('');
+        
+        const inputs = {
+            element: elementSelect,
+            open: document.getElementById('mask-open'),
+            close: document.getElementById('mask-close'),
+            minArea: document.getElementById('mask-min-area'),
+            fillHoles: document.getElementById('mask-fill-holes'),
+            dilate: document.getElementById('mask-dilate')
+        };
+        for (const [key, input] of Object.entries(inputs)) {
+            if (input.type === 'checkbox') input.checked = this.maskSettings[key];
+            else input.value = this.maskSettings[key];
+            input.addEventListener('change', () => {
+                if (input.type === 'checkbox') this.maskSettings[key] = input.checked;
+                else if (input.type === 'number') this.maskSettings[key] = Math.max(0, parseInt(input.value) || 0);
+                else this.maskSettings[key] = input.value;
+                saveMaskSettings(this.maskSettings);
+                this.defectMask = null;
+                this.updateMaskSummary();
+                this.updateHighlighting();
+            });
+        }
+        this.updateMaskSummary();
+    }
+
+    updateMaskSummary() {
+        document.getElementById('mask-summary').textContent = `Mask Cleanup: ${describeMaskSettings(this.maskSettings)}`;
     }
 
     updateIntensityOverlay(threshold) {
-        this.imageProcessor.displayIntensity(this.elements.intensityCanvas);
-        
+        const processor = this.imageProcessor;
         const canvas = this.elements.intensityCanvas;
         const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(0, 0, 1024, 1024);
+        
+        // The base image doesn't depend on the threshold: greyscale once per file, or the
+        // selected score map as a heat map once per map
+        const heatMap = this.scoreSettings.heatMap;
+        const source = heatMap ? this.differenceData : processor.rawIntensityData;
+        if (!this.intensityBase || this.intensityBase.source !== source) {
+            if (heatMap) {
+                const { pixels, min, max } = heatMapPixels(this.differenceData, this.residualIndex);
+                this.intensityBase = { source, pixels };
+                document.getElementById('heat-map-range').textContent = `${min.toPrecision(3)} – ${max.toPrecision(3)}`;
+            } else {
+                processor.displayIntensity(canvas);
+                this.intensityBase = { source, pixels: ctx.getImageData(0, 0, canvas.width, canvas.height).data };
+            }
+        }
+        if (canvas.width !== processor.width || canvas.height !== processor.height) {
+            canvas.width = processor.width;
+            canvas.height = processor.height;
+        }
+        const imageData = new ImageData(this.intensityBase.pixels.slice(), processor.width, processor.height);
         const data = imageData.data;
+        this.overlayDirty = false;
         
+        const mask = this.imageProcessor.validityMask;
+        const defects = threshold != null ? this.getDefectMask() : null;
         for (let i = 0; i < this.differenceData.length; i++) {
-            if (isFinite(this.differenceData[i]) && this.differenceData[i] >= threshold) {
-                const idx = i * 4;
+            const idx = i * 4;
+            if (!mask[i]) {
+                // Dropouts in blue, so they aren't mistaken for defects
+                data[idx] = Math.max(0, data[idx] - 50);
+                data[idx + 2] = Math.min(255, data[idx + 2] + 100);
+            } else if (defects && defects[i] && !heatMap) {
                 data[idx] = Math.min(255, data[idx] + 100);
                 data[idx + 1] = Math.max(0, data[idx + 1] - 50);
                 data[idx + 2] = Math.max(0, data[idx + 2] - 50);
@@ -1240,17 +2667,576 @@ Intensity Max: ${this.imageProcessor.intensityMax.toFixed(2)}`;
         }
         
         ctx.putImageData(imageData, 0, 0);
+        
+        const selected = this.defects.find(d => d.id === this.selectedDefectId);
+        if (selected) {
+            const { x0, y0, x1, y1 } = selected.bbox;
+            ctx.strokeStyle = '#ffeb3b';
+            ctx.lineWidth = Math.max(1, canvas.width / 512);
+            ctx.strokeRect(x0 - 2, y0 - 2, x1 - x0 + 5, y1 - y0 + 5);
+        }
     }
 
-    async loadModel() {
+    // Individual defects: connected regions of the current defect mask
+    updateDefects() {
+        const processor = this.imageProcessor;
+        const mask = this.getDefectMask();
+        this.defects = mask
+            ? extractDefects(mask, this.differenceData, processor.rawSurfaceData, processor.width, processor.height)
+            : [];
+        if (!this.defects.some(d => d.id === this.selectedDefectId)) this.selectedDefectId = null;
+        this.renderDefectTable();
+        
+        if (this.currentResult && this.thresholdInfo) {
+            const previous = this.currentResult.summary;
+            this.currentResult.summary = {
+                map: this.scoreSettings.map,
+                threshold: this.currentThreshold,
+                thresholdDescription: this.thresholdInfo.description,
+                defects: this.defects.length,
+                flaggedPixels: this.defects.reduce((sum, d) => sum + d.area, 0)
+            };
+            if (!previous || previous.defects !== this.defects.length) this.renderThumbnailGallery();
+        }
+    }
+
+    clearDefects() {
+        this.defects = [];
+        this.selectedDefectId = null;
+        this.resetIntensityZoom();
+        this.renderDefectTable();
+    }
+
+    renderDefectTable() {
+        const panel = document.getElementById('defect-panel');
+        if (!panel) return;
+        if (!this.differenceData) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        const { column, ascending } = this.defectSort;
+        const rows = sortDefects(this.defects, column, ascending).slice(0, MAX_DEFECT_ROWS);
+        const processor = this.imageProcessor;
+        const header = Object.entries(DEFECT_COLUMNS).map(([key, { label }]) => {
+            const arrow = key === column ? (ascending ? ' ▲' : ' ▼') : '';
+            return `<th data-column="${key}">${label}${arrow}</th>`;
+        }).join('');
+        const body = rows.map(d => `
+            <tr data-id="${d.id}" class="${d.id === this.selectedDefectId ? 'selected' : ''}">
+                <td>${d.id}</td>
+                <td>${d.area}</td>
+                <td>${d.centroid.x.toFixed(0)}, ${d.centroid.y.toFixed(0)}</td>
+                <td>${isFinite(d.peakResidual) ? d.peakResidual.toPrecision(3) : '--'}</td>
+                <td>${isFinite(d.meanResidual) ? d.meanResidual.toPrecision(3) : '--'}</td>
+                <td>${isFinite(d.heightDeviation) ? processor.formatHeight(d.heightDeviation) : '--'}</td>
+            </tr>`).join('');
+        const truncated = this.defects.length > rows.length ? ` – showing ${rows.length}` : '';
+        
+        panel.innerHTML = `
+            <div class="defect-panel-header">Defects (${this.defects.length}${truncated})</div>
+            <div class="defect-table-scroll">
+                <table class="defect-table"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>
+            </div>`;
+        panel.style.display = 'block';
+        
+        panel.querySelectorAll('th').forEach(th => th.addEventListener('click', () => {
+            const key = th.dataset.column;
+            // Numbers usually matter most when large, so a new column starts descending
+            this.defectSort = key === column ? { column, ascending: !ascending } : { column: key, ascending: key === 'id' };
+            this.renderDefectTable();
+        }));
+        panel.querySelectorAll('tbody tr').forEach(tr => tr.addEventListener('click', () => {
+            this.selectDefect(Number(tr.dataset.id));
+        }));
+    }
+
+    selectDefect(id) {
+        const defect = this.defects.find(d => d.id === id);
+        if (!defect) return;
+        this.selectedDefectId = id;
+        this.renderDefectTable();
+        this.updateIntensityOverlay(this.currentThreshold);
+        this.zoomIntensityTo(defect);
+        this.focusCameraOn(defect);
+    }
+
+    // Scale the intensity canvas (CSS transform) so the defect is centred and about a third of the view
+    zoomIntensityTo(defect) {
+        const canvas = this.elements.intensityCanvas;
+        const cssWidth = canvas.offsetWidth;
+        const cssHeight = canvas.offsetHeight;
+        if (cssWidth === 0 || cssHeight === 0) return;
+        
+        const perPixel = cssWidth / canvas.width;
+        const { x0, y0, x1, y1 } = defect.bbox;
+        const extent = Math.max(x1 - x0 + 1, y1 - y0 + 1) * perPixel;
+        const scale = Math.min(32, Math.max(1, Math.min(cssWidth, cssHeight) / (3 * extent)));
+        const cx = (defect.centroid.x + 0.5) * perPixel;
+        const cy = (defect.centroid.y + 0.5) * perPixel;
+        
+        canvas.style.transformOrigin = '0 0';
+        canvas.style.transform = `translate(${cssWidth / 2 - scale * cx}px, ${cssHeight / 2 - scale * cy}px) scale(${scale})`;
+        canvas.style.imageRendering = 'pixelated';
+        if (this.currentView === 'intensity') this.updateIntensityScaleBar();
+    }
+
+    resetIntensityZoom() {
+        const canvas = this.elements.intensityCanvas;
+        canvas.style.transform = '';
+        canvas.style.imageRendering = '';
+        if (this.currentView === 'intensity' && this.imageLoaded) this.updateIntensityScaleBar();
+    }
+
+    // Orbit around the defect's point on the surface, keeping the current viewing direction
+    focusCameraOn(defect) {
+        if (!this.planeSize || !this.pointsMaterial) return;
+        const { width, height } = this.imageProcessor;
+        const { uniforms } = this.pointsMaterial;
+        const u = width > 1 ? defect.centroid.x / (width - 1) : 0.5;
+        const v = height > 1 ? defect.centroid.y / (height - 1) : 0.5;
+        
+        // Same mapping as the vertex shader: pixel row v runs along +z, height along +y
+        const surface = this.imageProcessor.rawSurfaceData[Math.round(defect.centroid.y) * width + Math.round(defect.centroid.x)];
+        const normalizedHeight = isFinite(surface)
+            ? (surface - uniforms.heightMin.value) / (uniforms.heightMax.value - uniforms.heightMin.value)
+            : 0;
+        const target = new THREE.Vector3(
+            (u - 0.5) * this.planeSize.width,
+            normalizedHeight * uniforms.heightMultiplier.value,
+            (v - 0.5) * this.planeSize.height
+        );
+        
+        const { x0, y0, x1, y1 } = defect.bbox;
+        const unitsPerPixel = this.planeSize.width / width;
+        const extent = Math.max(x1 - x0 + 1, y1 - y0 + 1) * unitsPerPixel;
+        const distance = Math.max(3, extent * 4);
+        const direction = this.camera.position.clone().sub(this.controls.target).normalize();
+        
+        this.controls.target.copy(target);
+        this.camera.position.copy(target).addScaledVector(direction, distance);
+        this.controls.update();
+    }
+
+    // Pixels highlighted as defects: the current threshold, then mask post-processing; cached until either changes
+    getDefectMask() {
+        if (!this.differenceData || this.currentThreshold == null) return null;
+        const cached = this.defectMask;
+        if (cached && cached.source === this.differenceData && cached.threshold === this.currentThreshold) {
+            return cached.mask;
+        }
+        
+        const mask = this.buildDefectMask(this.differenceData, this.currentThreshold, this.imageProcessor);
+        this.defectMask = { source: this.differenceData, threshold: this.currentThreshold, mask };
+        return mask;
+    }
+
+    buildDefectMask(difference, threshold, processor) {
+        const mask = new Uint8Array(difference.length);
+        for (let i = 0; i < mask.length; i++) {
+            mask[i] = isFinite(difference[i]) && difference[i] >= threshold ? 1 : 0;
+        }
+        return postProcessMask(mask, processor.width, processor.height, this.maskSettings, processor.validityMask);
+    }
+
+    buildExportBundle() {
+        const processor = this.imageProcessor;
+        const fileName = this.loadedFiles.length > 0 && this.currentFileIndex >= 0
+            ? this.loadedFiles[this.currentFileIndex].name
+            : 'scan';
+
+        const results = {};
+        const resultAttributes = {
+            'Source File': fileName,
+            'Source Format': processor.format,
+            'Height Channel': processor.surfacePath,
+            'Intensity Channel': processor.intensityPath,
+            'Exported': new Date().toISOString()
+        };
+        const result = this.currentResult;
+        if (this.differenceData && result) {
+            if (processor.lastReconstructed) results.reconstruction = processor.lastReconstructed;
+            results.difference = this.scores.maps.detector;
+            results.height_anomaly = this.scores.maps.height;
+            if (this.scores.maps.fused) results.fused_score = this.scores.maps.fused;
+            const mask = this.getDefectMask();
+            if (mask) results.defect_mask = mask;
+            results.validity_mask = processor.validityMask;
+            Object.assign(resultAttributes, {
+                'Inpainting': result.inpaintMethod,
+                'Invalid Pixels': processor.invalidCount,
+                'Detector': result.label,
+                'Detector ID': result.detectorId,
+                'Weights SHA-256': result.sha256 || '',
+                'Compute Backend': result.backendLabel,
+                'Output Semantics': result.manifest.output.semantics,
+                'Tile Size': result.tileSize,
+                'Tile Overlap': result.tileOverlap,
+                'Inference Time (ms)': result.timing ? Math.round(result.timing.elapsedMs) : '',
+                'GPU Recoveries': result.timing ? result.timing.gpuRecoveries : '',
+                'Score Map': SCORE_MAPS[this.scoreSettings.map],
+                'Fusion Weights': describeWeights(this.scoreSettings.heightWeight),
+                'Threshold Strategy': this.thresholdInfo ? this.thresholdInfo.description : '',
+                'Threshold': this.currentThreshold ?? NaN,
+                'Mask Post-processing': describeMaskSettings(this.maskSettings)
+            });
+            if (this.thresholdInfo && this.thresholdInfo.calibrationScans) {
+                resultAttributes['Calibration Scans'] = this.thresholdInfo.calibrationScans.join(', ');
+            }
+        }
+
+        return {
+            fileName,
+            format: processor.format,
+            width: processor.width,
+            height: processor.height,
+            datasets: processor.allDatasets,
+            attributes: processor.metadata.attributes,
+            datasetMetadata: processor.metadata.datasets,
+            channels: { surface: processor.surfacePath, intensity: processor.intensityPath },
+            results,
+            resultAttributes
+        };
+    }
+
+    async exportCurrentFile(formatId) {
+        if (!this.imageLoaded) return;
+        const exportBtn = document.getElementById('export-btn');
+        exportBtn.disabled = true;
+        try {
+            // Every dataset goes into the export, so read the ones that aren't in memory
+            await this.imageProcessor.loadDatasets(Object.keys(this.imageProcessor.allDatasets));
+            const fileData = this.loadedFiles[this.currentFileIndex];
+            if (fileData) {
+                this.fileCache.touch(fileData.id);
+                this.updateCacheUsage();
+            }
+            const files = await exportBundle(formatId, this.buildExportBundle());
+            for (const { blob, fileName } of files) downloadBlob(blob, fileName);
+        } catch (error) {
+            console.error('Export error:', error);
+            alert(`Export failed: ${error.message}`);
+        } finally {
+            exportBtn.disabled = false;
+        }
+    }
+
+    // Built from text nodes: names, descriptions and manifests of user-supplied models are untrusted
+    renderModelInfo(error = null) {
+        const container = document.getElementById('model-info');
+        if (!container) return;
+        container.replaceChildren();
+        const detector = this.detectors.active;
+        if (!detector) return;
+        
+        // One line per call: an optional label, then a string or node
+        const line = (label, value = null, tag = 'em') => {
+            if (container.childNodes.length > 0) container.appendChild(document.createElement('br'));
+            if (label) {
+                const heading = document.createElement(tag);
+                heading.textContent = label;
+                container.append(heading);
+                if (value != null) container.append(' ');
+            }
+            if (value != null) container.append(value);
+        };
+        
+        line('Detector:', detector.name, 'strong');
+        if (detector.description) line(null, detector.description);
+        if (error) {
+            line('Failed to load:', error.message);
+            return;
+        }
+        if (!this.model) {
+            line('Loading...');
+            return;
+        }
+        
+        const { name, version, description, input, output } = this.model.manifest;
+        line('Model:', `${name} v${version}`);
+        if (description) line(null, description);
+        line('Backend:', this.backendLabel(this.model.backend));
+        if (this.model.sha256) {
+            const hash = document.createElement('code');
+            hash.style.wordBreak = 'break-all';
+            hash.textContent = this.model.sha256;
+            line('Weights SHA-256:', hash);
+        }
+        line('Tile size:', `${input.tileSize}×${input.tileSize}`);
+        line('Input channels:', input.channels.join(', '));
+        line('Normalization:');
+        input.channels.forEach((channel, i) => line(null, `${channel}: ${describeNormalization(input.normalization[i])}`));
+        line('Output:', `${output.semantics}${output.semantics === 'reconstruction' ? ` of ${output.channel}` : ''} – ${OUTPUT_SEMANTICS[output.semantics]}`);
+    }
+
+    // Lazily create the chosen detector; the registry frees the previous one
+    // A wasm detector that fails to load falls back to a classical one; the saved choice is kept so the next visit retries it
+    async selectDetector(id, { save = true, asFallback = false } = {}) {
+        if (!this.detectors.get(id)) id = DEFAULT_DETECTOR_ID;
+        const unavailable = this.unavailableReason(this.detectors.get(id));
+        if (unavailable) {
+            if (!asFallback) this.chosenDetectorId = id;
+            const fallback = this.detectors.get(FALLBACK_DETECTOR_ID);
+            await this.selectDetector(fallback.id, { save: false, asFallback: true });
+            this.fallbackForFile = true;
+            this.showDetectorNotice(`Using ${fallback.name}: ${unavailable}.`);
+            return;
+        }
+        if (!asFallback) this.fallbackForFile = false;
+        const detectorSelect = document.getElementById('detector-select');
+        if (detectorSelect) detectorSelect.value = id;
+        if (save) saveSelectedDetectorId(id);
+        if (!asFallback) this.chosenDetectorId = id; // Retried when the backend setting changes
+        this.showDetectorNotice(null);
+        
+        this.model = null;
+        this.elements.runBtn.disabled = true;
+        document.getElementById('run-all-btn').disabled = true;
+        // Workers hold instances of the previous model
+        if (this.inferencePool) this.inferencePool.terminate();
+        this.workerInference = true;
+        this.updateBackendBadge();
+        this.renderModelInfo();
+        
         try {
-            await wasm();
-            this.model = new Mnist();
+            const instance = await this.detectors.activate(id, { backend: this.backendSetting });
+            if (!instance) return; // Another detector was selected meanwhile
+            this.model = instance;
+            this.updateBackendBadge();
+            if (instance.backendNote) this.showDetectorNotice(instance.backendNote);
             this.elements.runBtn.disabled = !this.imageLoaded;
+            document.getElementById('run-all-btn').disabled = !this.imageLoaded;
+            console.log(`Detector ready: ${this.detectors.active.name}`);
+            this.renderModelInfo();
         } catch (error) {
             console.error('Model loading error:', error);
+            this.renderModelInfo(error);
+            const failed = this.detectors.get(id);
+            if (failed.kind !== 'classical' && this.detectors.activeId === id) {
+                const fallback = this.detectors.get(FALLBACK_DETECTOR_ID);
+                await this.selectDetector(fallback.id, { save: false, asFallback: true });
+                this.showDetectorNotice(`${failed.name} could not be loaded (${error.message}). Using ${fallback.name} instead.`);
+            }
         }
     }
+
+    // Why detector can't run on the current file, or null. Models learned intensity images, so on a
+    // height-only file they would be scoring the height map as if it were intensity.
+    unavailableReason(detector) {
+        if (!detector || detector.kind === 'classical' || !this.imageLoaded || this.imageProcessor.hasIntensity()) return null;
+        return `this file has no intensity channel, and ${detector.name} would be given the height map instead`;
+    }
+
+    // Disable the models on height-only files and fall back to a classical detector; the chosen
+    // model comes back on the next file that has an intensity channel
+    updateDetectorAvailability() {
+        const detectorSelect = document.getElementById('detector-select');
+        if (detectorSelect) {
+            for (const option of detectorSelect.options) {
+                option.disabled = !!this.unavailableReason(this.detectors.get(option.value));
+            }
+        }
+        if (this.isRunning) return;
+        const active = this.detectors.active;
+        if (active && this.unavailableReason(active)) {
+            this.selectDetector(active.id, { save: false });
+        } else if (this.fallbackForFile && !this.unavailableReason(this.detectors.get(this.chosenDetectorId))) {
+            this.selectDetector(this.chosenDetectorId, { save: false });
+        }
+    }
+
+    showDetectorNotice(message) {
+        const notice = document.getElementById('detector-notice');
+        if (!notice) return;
+        notice.textContent = message || '';
+        notice.style.display = message ? 'block' : 'none';
+    }
+
+    async loadModel() {
+        const detectorSelect = document.getElementById('detector-select');
+        if (detectorSelect) {
+            this.renderDetectorOptions();
+            detectorSelect.addEventListener('change', e => this.selectDetector(e.target.value));
+        }
+        const backendSelect = document.getElementById('backend-select');
+        if (backendSelect) {
+            backendSelect.innerHTML = Object.entries(BACKEND_SETTINGS)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`)
+                .join('');
+            backendSelect.value = this.backendSetting;
+            backendSelect.addEventListener('change', e => this.selectBackend(e.target.value));
+        }
+        await this.selectDetector(loadSelectedDetectorId());
+    }
+
+    // Recreate the chosen detector under the new setting; a detector that fell back gets another try
+    async selectBackend(setting) {
+        this.backendSetting = setting;
+        saveBackendSetting(setting);
+        this.detectors.release();
+        await this.selectDetector(this.chosenDetectorId || loadSelectedDetectorId(), { save: false });
+    }
+
+    renderDetectorOptions() {
+        const detectorSelect = document.getElementById('detector-select');
+        if (!detectorSelect) return;
+        const groups = [
+            ['Models', detector => detector.kind === 'wasm' && !detector.user],
+            ['Loaded models', detector => detector.user],
+            ['Classical', detector => detector.kind === 'classical']
+        ];
+        detectorSelect.innerHTML = '';
+        for (const [label, filter] of groups) {
+            const detectors = this.detectors.list().filter(filter);
+            if (detectors.length === 0) continue;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            for (const detector of detectors) {
+                group.appendChild(new Option(detector.name, detector.id));
+                group.lastChild.title = detector.description;
+            }
+            detectorSelect.appendChild(group);
+        }
+        if (this.detectors.activeId) detectorSelect.value = this.detectors.activeId;
+        this.updateDetectorAvailability();
+    }
+
+    setupUserModels() {
+        const drop = document.getElementById('model-drop');
+        const fileInput = document.getElementById('model-file-input');
+        const urlInput = document.getElementById('model-url');
+        if (!drop) return;
+        
+        drop.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async e => {
+            if (e.target.files.length > 0) await this.loadUserModelFiles(Array.from(e.target.files));
+            fileInput.value = '';
+        });
+        drop.addEventListener('dragover', e => {
+            e.preventDefault();
+            drop.classList.add('dragover');
+        });
+        drop.addEventListener('dragleave', () => drop.classList.remove('dragover'));
+        drop.addEventListener('drop', async e => {
+            e.preventDefault();
+            drop.classList.remove('dragover');
+            if (e.dataTransfer.files.length > 0) await this.loadUserModelFiles(Array.from(e.dataTransfer.files));
+        });
+        
+        const loadUrl = () => {
+            const url = urlInput.value.trim();
+            if (url) this.loadUserModelUrl(url);
+        };
+        document.getElementById('model-url-btn').addEventListener('click', loadUrl);
+        urlInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') loadUrl();
+        });
+    }
+
+    // Each .wasm is paired with the .json of the same base name (foo_bg.wasm ↔ foo.manifest.json or foo.json), or the only .json dropped
+    async loadUserModelFiles(files) {
+        const baseName = name => name.replace(/(_bg)?\.wasm$/i, '').replace(/(\.manifest)?\.json$/i, '');
+        const wasmFiles = files.filter(file => /\.wasm$/i.test(file.name));
+        const jsonFiles = files.filter(file => /\.json$/i.test(file.name));
+        if (wasmFiles.length === 0) {
+            alert('Drop a model .wasm together with its .json manifest.');
+            return;
+        }
+        
+        const failures = [];
+        for (const wasmFile of wasmFiles) {
+            const manifestFile = jsonFiles.find(file => baseName(file.name) === baseName(wasmFile.name))
+                || (wasmFiles.length === 1 && jsonFiles.length === 1 ? jsonFiles[0] : null);
+            try {
+                if (!manifestFile) throw new Error('no manifest (.json) with the same name was dropped with it');
+                let manifestJson;
+                try {
+                    manifestJson = JSON.parse(await manifestFile.text());
+                } catch (error) {
+                    throw new Error(`${manifestFile.name} is not valid JSON (${error.message})`);
+                }
+                await this.addUserModel({ bytes: await wasmFile.arrayBuffer(), manifestJson, source: wasmFile.name });
+            } catch (error) {
+                console.error(`Could not load model ${wasmFile.name}:`, error);
+                failures.push(`${wasmFile.name}: ${error.message}`);
+            }
+        }
+        if (failures.length > 0) alert(`Could not load model(s):\n${failures.join('\n')}`);
+    }
+
+    // The manifest is expected next to the weights, named as wasm-bindgen packages name it (foo_bg.wasm → foo.manifest.json)
+    async loadUserModelUrl(url) {
+        try {
+            const weightsUrl = new URL(url, window.location.href);
+            const manifestUrl = new URL(weightsUrl.pathname.replace(/(_bg)?\.wasm$/i, '.manifest.json'), weightsUrl);
+            const [weights, manifest] = await Promise.all([fetch(weightsUrl), fetch(manifestUrl)]);
+            if (!weights.ok) throw new Error(`Could not load ${weightsUrl}: ${weights.status} ${weights.statusText}`);
+            if (!manifest.ok) throw new Error(`Could not load manifest ${manifestUrl}: ${manifest.status} ${manifest.statusText}`);
+            await this.addUserModel({
+                bytes: await weights.arrayBuffer(),
+                manifestJson: await manifest.json(),
+                source: weightsUrl.href
+            });
+            document.getElementById('model-url').value = '';
+        } catch (error) {
+            console.error(`Could not load model ${url}:`, error);
+            alert(`Could not load model: ${error.message}`);
+        }
+    }
+
+    // Validate and register weights, then select them; loading the same weights again just selects them
+    async addUserModel({ bytes, manifestJson, source }) {
+        const detector = await userModelDetector({
+            bytes,
+            manifestJson,
+            source,
+            bindingsUrl: this.detectors.get(DEFAULT_DETECTOR_ID).moduleUrl
+        });
+        if (!this.detectors.get(detector.id)) {
+            this.detectors.register(detector);
+            console.log(`Loaded model ${detector.name} from ${source} (SHA-256 ${detector.sha256})`);
+            this.renderDetectorOptions();
+            this.renderUserModels();
+        }
+        if (!this.isRunning) await this.selectDetector(detector.id, { save: false });
+    }
+
+    removeUserModel(id) {
+        if (this.isRunning) return;
+        const wasActive = this.detectors.activeId === id;
+        this.detectors.unregister(id);
+        this.renderDetectorOptions();
+        this.renderUserModels();
+        if (wasActive) this.selectDetector(loadSelectedDetectorId(), { save: false });
+    }
+
+    renderUserModels() {
+        const list = document.getElementById('user-models');
+        if (!list) return;
+        list.innerHTML = '';
+        for (const detector of this.detectors.list().filter(d => d.user)) {
+            const row = document.createElement('div');
+            row.className = 'user-model';
+            const name = document.createElement('span');
+            name.className = 'user-model-name';
+            name.textContent = detector.name;
+            name.title = `${detector.source}\nSHA-256 ${detector.sha256}`;
+            const hash = document.createElement('code');
+            hash.textContent = detector.sha256.slice(0, 8);
+            const remove = document.createElement('button');
+            remove.className = 'user-model-remove';
+            remove.textContent = '×';
+            remove.title = `Unload ${detector.name}`;
+            remove.addEventListener('click', () => this.removeUserModel(detector.id));
+            row.append(name, hash, remove);
+            list.appendChild(row);
+        }
+    }
+
+    updateResultLabel() {
+        const label = document.getElementById('result-label');
+        if (label) label.textContent = this.resultLabel ? `Results: ${this.resultLabel}` : '';
+    }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,86 @@
+// backends.js
+// Compute backend setting (auto / WebGPU / CPU) and the decision which one a model actually runs on
+
+const SETTING_KEY = 'computeBackend';
+
+export const BACKEND_SETTINGS = {
+    auto: 'Backend: Auto',
+    webgpu: 'Backend: WebGPU',
+    cpu: 'Backend: CPU (wasm)'
+};
+
+export const BACKEND_NAMES = {
+    webgpu: 'WebGPU',
+    cpu: 'CPU (wasm)',
+    js: 'CPU (JavaScript)'
+};
+
+export function loadBackendSetting() {
+    const saved = localStorage.getItem(SETTING_KEY);
+    return BACKEND_SETTINGS[saved] ? saved : 'auto';
+}
+
+export function saveBackendSetting(setting) {
+    localStorage.setItem(SETTING_KEY, setting);
+}
+
+let webgpuProbe = null;
+
+/**
+ * Whether this browser can create a WebGPU device: { ok, adapter: 'vendor architecture' | null,
+ * reason } where reason says why not. The device is destroyed again; the answer is cached.
+ */
+export function probeWebGPU() {
+    if (!webgpuProbe) webgpuProbe = runProbe();
+    return webgpuProbe;
+}
+
+async function runProbe() {
+    if (typeof navigator === 'undefined' || !navigator.gpu) {
+        return { ok: false, adapter: null, reason: 'this browser does not support WebGPU' };
+    }
+    let adapter;
+    try {
+        adapter = await navigator.gpu.requestAdapter();
+    } catch (error) {
+        return { ok: false, adapter: null, reason: `requesting a GPU adapter failed (${error.message})` };
+    }
+    if (!adapter) {
+        return { ok: false, adapter: null, reason: 'no GPU adapter is available (blocklisted driver or GPU disabled)' };
+    }
+    let info = adapter.info || null;
+    if (!info && adapter.requestAdapterInfo) {
+        try {
+            info = await adapter.requestAdapterInfo();
+        } catch (e) {
+            info = null;
+        }
+    }
+    const description = info ? [info.vendor, info.architecture].filter(Boolean).join(' ') || info.description || null : null;
+    try {
+        const device = await adapter.requestDevice();
+        device.destroy();
+    } catch (error) {
+        return { ok: false, adapter: description, reason: `creating a WebGPU device failed (${error.message})` };
+    }
+    return { ok: true, adapter: description, reason: null };
+}
+
+/**
+ * Backend for a model that runs on supported (its manifest backends), given the setting and the
+ * WebGPU probe: { backend, fallback, reason }. backend is null when the model can't run as asked;
+ * reason says why, or why auto fell back to the CPU (fallback true).
+ */
+export function resolveBackend(setting, supported, probe) {
+    const gpu = supported.includes('webgpu');
+    const cpu = supported.includes('cpu');
+    if (setting === 'cpu') {
+        return cpu
+            ? { backend: 'cpu', fallback: false, reason: null }
+            : { backend: null, fallback: false, reason: 'the model has no CPU build' };
+    }
+    if (gpu && probe.ok) return { backend: 'webgpu', fallback: false, reason: null };
+    const reason = gpu ? `WebGPU is unavailable: ${probe.reason}` : 'the model has no WebGPU build';
+    if (setting === 'auto' && cpu) return { backend: 'cpu', fallback: true, reason };
+    return { backend: null, fallback: false, reason };
+}
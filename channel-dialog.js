@@ -0,0 +1,221 @@
+// channel-dialog.js
+// Modal for reassigning the height/intensity channels and editing saved mapping rules
+
+import { CHANNEL_ROLES, DEFAULT_RULES, loadRules, saveRules, exactPathPattern } from './channel-mapping.js';
+
+const ROLE_LABELS = { surface: 'Height', intensity: 'Intensity' };
+
+export class ChannelMappingDialog {
+    constructor(modal, { onApply } = {}) {
+        this.modal = modal;
+        this.content = modal.querySelector('.modal-content');
+        this.onApply = onApply;
+        this.processor = null;
+        this.fileName = '';
+
+        this.modal.addEventListener('click', e => {
+            if (e.target === this.modal) this.close();
+        });
+    }
+
+    open(processor, fileName) {
+        this.processor = processor;
+        this.fileName = fileName;
+        this.render();
+        this.modal.classList.add('active');
+    }
+
+    close() {
+        this.modal.classList.remove('active');
+    }
+
+    render() {
+        const processor = this.processor;
+        const mapping = processor.channelMapping || {};
+        const paths = Object.keys(processor.allDatasets);
+        this.content.innerHTML = '';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Channel Mapping';
+        this.content.appendChild(title);
+
+        const info = document.createElement('p');
+        info.textContent = `${this.fileName || 'Current file'} · Instrument: ${mapping.instrument || 'unknown'}`;
+        this.content.appendChild(info);
+
+        if (mapping.fallback && mapping.fallback.length > 0) {
+            const warning = document.createElement('p');
+            warning.className = 'channel-warning-text';
+            warning.textContent = `⚠ No rule matched the ${mapping.fallback.map(role => ROLE_LABELS[role]).join(' and ')} channel; the first unused dataset was used instead.`;
+            this.content.appendChild(warning);
+        }
+
+        // Current assignment
+        const selects = {};
+        const grid = document.createElement('div');
+        grid.className = 'channel-grid';
+        for (const role of CHANNEL_ROLES) {
+            const label = document.createElement('label');
+            label.textContent = `${ROLE_LABELS[role]}:`;
+
+            const select = document.createElement('select');
+            for (const path of paths) {
+                const { width, height } = processor.allDatasets[path];
+                const option = document.createElement('option');
+                option.value = path;
+                option.textContent = `${path} (${width}×${height})`;
+                select.appendChild(option);
+            }
+            select.value = role === 'surface' ? processor.surfacePath : processor.intensityPath;
+            selects[role] = select;
+
+            grid.appendChild(label);
+            grid.appendChild(select);
+        }
+        this.content.appendChild(grid);
+
+        const saveLabel = document.createElement('label');
+        saveLabel.className = 'channel-save-option';
+        const saveCheckbox = document.createElement('input');
+        saveCheckbox.type = 'checkbox';
+        saveLabel.appendChild(saveCheckbox);
+        saveLabel.appendChild(document.createTextNode(` Save as rule for ${mapping.instrument || 'all instruments'}`));
+        this.content.appendChild(saveLabel);
+
+        const applyBtn = document.createElement('button');
+        applyBtn.textContent = 'Apply';
+        applyBtn.addEventListener('click', () => {
+            const surface = selects.surface.value;
+            const intensity = selects.intensity.value;
+            if (saveCheckbox.checked) {
+                this.saveMappingAsRules({ surface, intensity }, mapping.instrument);
+            }
+            if (!this.onApply) return;
+            Promise.resolve(this.onApply(surface, intensity)).then(applied => {
+                if (applied !== false) this.close();
+            });
+        });
+        this.content.appendChild(applyBtn);
+
+        this.content.appendChild(this.renderRulesEditor());
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'close-btn';
+        closeBtn.textContent = 'Close';
+        closeBtn.addEventListener('click', () => this.close());
+        this.content.appendChild(closeBtn);
+    }
+
+    saveMappingAsRules(mapping, instrument) {
+        const rules = loadRules();
+        const ruleInstrument = instrument || '*';
+        for (const role of CHANNEL_ROLES) {
+            const pattern = exactPathPattern(mapping[role]);
+            // Replace an earlier saved rule for the same instrument and role
+            const existing = rules.findIndex(rule => rule.instrument === ruleInstrument && rule.role === role && rule.priority >= 10);
+            const rule = { instrument: ruleInstrument, role, pattern, priority: 10 };
+            if (existing >= 0) {
+                rules[existing] = rule;
+            } else {
+                rules.push(rule);
+            }
+        }
+        saveRules(rules);
+        console.log(`Saved channel rules for ${ruleInstrument}`);
+    }
+
+    renderRulesEditor() {
+        const section = document.createElement('div');
+        section.className = 'channel-rules';
+
+        const heading = document.createElement('p');
+        heading.innerHTML = '<strong>Saved rules</strong> · highest priority first; patterns are substrings or /regex/';
+        section.appendChild(heading);
+
+        const table = document.createElement('table');
+        const headerRow = document.createElement('tr');
+        for (const text of ['Instrument', 'Channel', 'Pattern', 'Priority', '']) {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        }
+        table.appendChild(headerRow);
+
+        const rules = loadRules();
+        const sorted = rules
+            .map((rule, index) => ({ rule, index }))
+            .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0));
+
+        for (const { rule, index } of sorted) {
+            const row = document.createElement('tr');
+            for (const text of [rule.instrument, ROLE_LABELS[rule.role] || rule.role, rule.pattern, String(rule.priority || 0)]) {
+                const td = document.createElement('td');
+                td.textContent = text;
+                row.appendChild(td);
+            }
+            const actions = document.createElement('td');
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'channel-rule-btn';
+            removeBtn.textContent = '✕';
+            removeBtn.title = 'Remove rule';
+            removeBtn.addEventListener('click', () => {
+                rules.splice(index, 1);
+                saveRules(rules);
+                this.render();
+            });
+            actions.appendChild(removeBtn);
+            row.appendChild(actions);
+            table.appendChild(row);
+        }
+
+        // New rule row
+        const addRow = document.createElement('tr');
+        const instrumentInput = document.createElement('input');
+        instrumentInput.value = this.processor.channelMapping?.instrument || '*';
+        const roleSelect = document.createElement('select');
+        for (const role of CHANNEL_ROLES) {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = ROLE_LABELS[role];
+            roleSelect.appendChild(option);
+        }
+        const patternInput = document.createElement('input');
+        patternInput.placeholder = 'e.g. Measurement/Surface';
+        const priorityInput = document.createElement('input');
+        priorityInput.type = 'number';
+        priorityInput.value = '5';
+        const addBtn = document.createElement('button');
+        addBtn.className = 'channel-rule-btn';
+        addBtn.textContent = '+';
+        addBtn.title = 'Add rule';
+        addBtn.addEventListener('click', () => {
+            if (!patternInput.value.trim()) return;
+            rules.push({
+                instrument: instrumentInput.value.trim() || '*',
+                role: roleSelect.value,
+                pattern: patternInput.value.trim(),
+                priority: parseInt(priorityInput.value) || 0
+            });
+            saveRules(rules);
+            this.render();
+        });
+        for (const input of [instrumentInput, roleSelect, patternInput, priorityInput, addBtn]) {
+            const td = document.createElement('td');
+            td.appendChild(input);
+            addRow.appendChild(td);
+        }
+        table.appendChild(addRow);
+        section.appendChild(table);
+
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'channel-reset-btn';
+        resetBtn.textContent = 'Reset to default rules';
+        resetBtn.addEventListener('click', () => {
+            saveRules(DEFAULT_RULES.map(rule => ({ ...rule })));
+            this.render();
+        });
+        section.appendChild(resetBtn);
+
+        return section;
+    }
+}
@@ -0,0 +1,125 @@
+// channel-mapping.js
+// Decides which 2D datasets are the height (surface) and intensity channels
+
+const STORAGE_KEY = 'channelMappingRules';
+
+export const CHANNEL_ROLES = ['surface', 'intensity'];
+
+// Built-in rules reproduce the old name guessing; saved rules are added on top
+export const DEFAULT_RULES = [
+    { instrument: '*', role: 'surface', pattern: 'surface', priority: 0 },
+    { instrument: '*', role: 'intensity', pattern: 'intensity', priority: 0 }
+];
+
+export function loadRules() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (Array.isArray(saved)) return saved;
+    } catch (e) {
+        console.warn('Could not read saved channel rules:', e.message);
+    }
+    return DEFAULT_RULES.map(rule => ({ ...rule }));
+}
+
+export function saveRules(rules) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+}
+
+// Pattern is a case-insensitive substring, or a regular expression written as /.../flags
+export function patternMatches(pattern, path) {
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2] || 'i').test(path);
+        } catch (e) {
+            console.warn(`Invalid channel pattern ${pattern}:`, e.message);
+            return false;
+        }
+    }
+    return path.toLowerCase().includes(pattern.toLowerCase());
+}
+
+function instrumentMatches(ruleInstrument, instrument) {
+    if (!ruleInstrument || ruleInstrument === '*') return true;
+    return !!instrument && instrument.toLowerCase().includes(ruleInstrument.toLowerCase());
+}
+
+// Exact-path rule, used when the user saves a manual mapping
+export function exactPathPattern(path) {
+    return `/^${path.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}$/`;
+}
+
+// Best guess at the instrument from file attributes, e.g. "Instrument Model"
+export function identifyInstrument(attributes) {
+    const candidates = [];
+    for (const attrs of Object.values(attributes || {})) {
+        for (const [name, value] of Object.entries(attrs || {})) {
+            if (typeof value !== 'string' || !value.trim()) continue;
+            if (!/instrument|system|device/i.test(name)) continue;
+            const score = /model|name|type/i.test(name) ? 2 : 1;
+            candidates.push({ score, value: value.trim() });
+        }
+    }
+    candidates.sort((a, b) => b.score - a.score);
+    return candidates.length > 0 ? candidates[0].value : null;
+}
+
+/**
+ * Pick the surface and intensity datasets.
+ * datasets: { path: { width, height } } in file order.
+ * Returns { surface, intensity, instrument, matchedRules, fallback } where fallback
+ * lists the roles that no rule matched and were filled with the next unused dataset.
+ */
+export function resolveChannels(datasets, instrument, rules = DEFAULT_RULES) {
+    const paths = Object.keys(datasets);
+
+    // Instrument-specific rules win ties against wildcard rules
+    const ordered = rules
+        .filter(rule => instrumentMatches(rule.instrument, instrument))
+        .map((rule, index) => ({ rule, index }))
+        .sort((a, b) =>
+            (b.rule.priority || 0) - (a.rule.priority || 0) ||
+            (a.rule.instrument === '*') - (b.rule.instrument === '*') ||
+            a.index - b.index
+        )
+        .map(entry => entry.rule);
+
+    const result = { surface: null, intensity: null, instrument, matchedRules: {}, fallback: [] };
+    const sameSize = (a, b) => !a || !b || (datasets[a].width === datasets[b].width && datasets[a].height === datasets[b].height);
+
+    for (const role of CHANNEL_ROLES) {
+        const other = role === 'surface' ? result.intensity : result.surface;
+        for (const rule of ordered) {
+            if (rule.role !== role) continue;
+            // Last match wins within a rule, like the old loop over all datasets
+            const matches = paths.filter(path => path !== other && sameSize(path, other) && patternMatches(rule.pattern, path));
+            if (matches.length > 0) {
+                result[role] = matches[matches.length - 1];
+                result.matchedRules[role] = rule;
+                break;
+            }
+        }
+    }
+
+    for (const role of CHANNEL_ROLES) {
+        if (result[role]) continue;
+        const other = role === 'surface' ? result.intensity : result.surface;
+        const candidate = paths.find(path => path !== other && sameSize(path, other));
+        if (candidate) {
+            result[role] = candidate;
+            result.fallback.push(role);
+        }
+    }
+
+    // Height-only formats: the single dataset stands in for the missing channel (the app only
+    // runs classical detectors on such files, see ImageProcessor.hasIntensity)
+    for (const role of CHANNEL_ROLES) {
+        const other = role === 'surface' ? result.intensity : result.surface;
+        if (!result[role] && other) {
+            result[role] = other;
+            result.fallback.push(role);
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,294 @@
+// classical-detectors.js
+// Non-ML detectors on the intensity channel: a baseline for the autoencoder and a fallback
+// when the wasm model can't load. They fill the same reconstruction/anomaly slots, so
+// differenceData, thresholding and highlighting work unchanged.
+
+import { validateManifest } from './model-manifest.js';
+
+function classicalManifest(name, semantics) {
+    return validateManifest({
+        name,
+        version: '1.0',
+        input: { tileSize: 256, channels: ['intensity'], normalization: { type: 'none' } },
+        output: { semantics, channel: 'intensity' },
+        backends: ['cpu']
+    });
+}
+
+function quickMedian(values, count) {
+    // Median of the first count entries, partially reordering them (Hoare selection)
+    let lo = 0;
+    let hi = count - 1;
+    const k = count >> 1;
+    while (lo < hi) {
+        const pivot = values[(lo + hi) >> 1];
+        let i = lo;
+        let j = hi;
+        while (i <= j) {
+            while (values[i] < pivot) i++;
+            while (values[j] > pivot) j--;
+            if (i <= j) {
+                const t = values[i];
+                values[i] = values[j];
+                values[j] = t;
+                i++;
+                j--;
+            }
+        }
+        if (k <= j) hi = j;
+        else if (k >= i) lo = i;
+        else break;
+    }
+    return values[k];
+}
+
+/**
+ * Background as the median of blockSize×blockSize blocks, smoothed with a 3×3 median over
+ * neighbouring blocks and bilinearly interpolated back to full resolution. Equivalent to a
+ * large local median filter at a fraction of the cost.
+ */
+export function localMedianBackground(data, width, height, blockSize = 32) {
+    const gw = Math.ceil(width / blockSize);
+    const gh = Math.ceil(height / blockSize);
+    const grid = new Float32Array(gw * gh);
+    const values = new Float32Array(blockSize * blockSize);
+
+    for (let by = 0; by < gh; by++) {
+        for (let bx = 0; bx < gw; bx++) {
+            let count = 0;
+            for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+                for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+                    values[count++] = data[y * width + x];
+                }
+            }
+            grid[by * gw + bx] = quickMedian(values, count);
+        }
+    }
+
+    // A defect covering a whole block shouldn't become background
+    const smoothed = new Float32Array(grid.length);
+    const neighbours = new Float32Array(9);
+    for (let by = 0; by < gh; by++) {
+        for (let bx = 0; bx < gw; bx++) {
+            let count = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = bx + dx;
+                    const ny = by + dy;
+                    if (nx >= 0 && ny >= 0 && nx < gw && ny < gh) neighbours[count++] = grid[ny * gw + nx];
+                }
+            }
+            smoothed[by * gw + bx] = quickMedian(neighbours, count);
+        }
+    }
+
+    // Block values sit at block centres
+    const background = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const gy = Math.min(gh - 1, Math.max(0, (y + 0.5) / blockSize - 0.5));
+        const y0 = Math.floor(gy);
+        const y1 = Math.min(gh - 1, y0 + 1);
+        const fy = gy - y0;
+        for (let x = 0; x < width; x++) {
+            const gx = Math.min(gw - 1, Math.max(0, (x + 0.5) / blockSize - 0.5));
+            const x0 = Math.floor(gx);
+            const x1 = Math.min(gw - 1, x0 + 1);
+            const fx = gx - x0;
+            const top = smoothed[y0 * gw + x0] * (1 - fx) + smoothed[y0 * gw + x1] * fx;
+            const bottom = smoothed[y1 * gw + x0] * (1 - fx) + smoothed[y1 * gw + x1] * fx;
+            background[y * width + x] = top * (1 - fy) + bottom * fy;
+        }
+    }
+    return background;
+}
+
+// Solve A x = b in place (Gaussian elimination with partial pivoting)
+function solveLinear(A, b) {
+    const n = b.length;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+        }
+        if (Math.abs(A[pivot][col]) < 1e-12) throw new Error('Polynomial fit is singular');
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+        for (let row = col + 1; row < n; row++) {
+            const factor = A[row][col] / A[col][col];
+            for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+            b[row] -= factor * b[col];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+        x[row] = sum / A[row][row];
+    }
+    return x;
+}
+
+/**
+ * Least-squares 2D polynomial of the given degree, fitted on a subsample of pixels
+ * (coordinates scaled to [-1, 1] for conditioning) and evaluated everywhere.
+ */
+export function polynomialBackground(data, width, height, degree = 3, maxSamples = 65536) {
+    const terms = [];
+    for (let total = 0; total <= degree; total++) {
+        for (let py = 0; py <= total; py++) terms.push([total - py, py]);
+    }
+    const n = terms.length;
+    const sx = x => width > 1 ? (2 * x) / (width - 1) - 1 : 0;
+    const sy = y => height > 1 ? (2 * y) / (height - 1) - 1 : 0;
+    const basis = (u, v, out) => {
+        for (let t = 0; t < n; t++) out[t] = u ** terms[t][0] * v ** terms[t][1];
+    };
+
+    const A = Array.from({ length: n }, () => new Array(n).fill(0));
+    const b = new Array(n).fill(0);
+    const phi = new Float64Array(n);
+    const step = Math.max(1, Math.floor(Math.sqrt((width * height) / maxSamples)));
+    for (let y = 0; y < height; y += step) {
+        for (let x = 0; x < width; x += step) {
+            const value = data[y * width + x];
+            if (!isFinite(value)) continue;
+            basis(sx(x), sy(y), phi);
+            for (let i = 0; i < n; i++) {
+                b[i] += phi[i] * value;
+                for (let j = i; j < n; j++) A[i][j] += phi[i] * phi[j];
+            }
+        }
+    }
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < i; j++) A[i][j] = A[j][i];
+    }
+    const coefficients = solveLinear(A, b);
+
+    const background = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            basis(sx(x), sy(y), phi);
+            let value = 0;
+            for (let t = 0; t < n; t++) value += coefficients[t] * phi[t];
+            background[y * width + x] = value;
+        }
+    }
+    return background;
+}
+
+function gaussianKernel(sigma) {
+    const radius = Math.max(1, Math.ceil(3 * sigma));
+    const kernel = new Float32Array(2 * radius + 1);
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) {
+        kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+        sum += kernel[i + radius];
+    }
+    for (let i = 0; i < kernel.length; i++) kernel[i] /= sum;
+    return { kernel, radius };
+}
+
+// Separable Gaussian blur with clamped edges
+function gaussianBlur(data, width, height, sigma) {
+    const { kernel, radius } = gaussianKernel(sigma);
+    const temp = new Float32Array(width * height);
+    const out = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                const sx = Math.min(width - 1, Math.max(0, x + k));
+                sum += data[y * width + sx] * kernel[k + radius];
+            }
+            temp[y * width + x] = sum;
+        }
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                const sy = Math.min(height - 1, Math.max(0, y + k));
+                sum += temp[sy * width + x] * kernel[k + radius];
+            }
+            out[y * width + x] = sum;
+        }
+    }
+    return out;
+}
+
+/**
+ * Scale-normalized Laplacian-of-Gaussian magnitude, σ²·|∇²(G_σ * I)|. Peaks on blobs
+ * (pits, particles) about σ·√2 in radius.
+ */
+export function laplacianOfGaussian(data, width, height, sigma = 2) {
+    const blurred = gaussianBlur(data, width, height, sigma);
+    const response = new Float32Array(width * height);
+    const scale = sigma * sigma;
+    for (let y = 0; y < height; y++) {
+        const up = Math.max(0, y - 1) * width;
+        const down = Math.min(height - 1, y + 1) * width;
+        for (let x = 0; x < width; x++) {
+            const left = Math.max(0, x - 1);
+            const right = Math.min(width - 1, x + 1);
+            const i = y * width + x;
+            const laplacian = blurred[y * width + left] + blurred[y * width + right] +
+                blurred[up + x] + blurred[down + x] - 4 * blurred[i];
+            response[i] = scale * Math.abs(laplacian);
+        }
+    }
+    return response;
+}
+
+// Dropouts are already inpainted by prepareInferenceInput(), so the filters see no NaN
+function intensityInput(processor) {
+    return processor.inferenceInputs?.intensity || processor.rawIntensityData;
+}
+
+function classicalDetector({ id, name, description, semantics, run }) {
+    const manifest = classicalManifest(name, semantics);
+    return {
+        id,
+        name,
+        kind: 'classical',
+        description,
+        async create() {
+            return {
+                mode: 'image',
+                manifest,
+                backend: 'js',
+                backendNote: null,
+                detect: async processor => {
+                    const result = run(intensityInput(processor), processor.width, processor.height);
+                    return semantics === 'anomaly' ? { anomaly: result } : { reconstruction: result };
+                },
+                free() {}
+            };
+        }
+    };
+}
+
+export const CLASSICAL_DETECTORS = [
+    classicalDetector({
+        id: 'local-median',
+        name: 'Local median residual',
+        description: 'Difference from a 32 px block-median background; finds local bright/dark spots on a slowly varying surface.',
+        semantics: 'reconstruction',
+        run: (data, width, height) => localMedianBackground(data, width, height, 32)
+    }),
+    classicalDetector({
+        id: 'polynomial',
+        name: 'Polynomial background residual',
+        description: 'Difference from a least-squares cubic surface; finds anything that is not part of the overall form or tilt.',
+        semantics: 'reconstruction',
+        run: (data, width, height) => polynomialBackground(data, width, height, 3)
+    }),
+    classicalDetector({
+        id: 'log-blob',
+        name: 'Laplacian of Gaussian (blobs)',
+        description: 'Scale-normalized LoG response at σ = 2 px; highlights small round pits and particles.',
+        semantics: 'anomaly',
+        run: (data, width, height) => laplacianOfGaussian(data, width, height, 2)
+    })
+];
+
+export const FALLBACK_DETECTOR_ID = 'local-median';
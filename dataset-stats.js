@@ -0,0 +1,48 @@
+// dataset-stats.js
+// Per-dataset statistics and grayscale thumbnails; shared by the parse worker and the main thread
+
+// { min, max, mean, validCount } over finite values
+export function computeDatasetStats(data) {
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    let validCount = 0;
+    for (let i = 0; i < data.length; i++) {
+        const v = data[i];
+        if (isFinite(v)) {
+            if (v < min) min = v;
+            if (v > max) max = v;
+            sum += v;
+            validCount++;
+        }
+    }
+    return { min, max, mean: validCount > 0 ? sum / validCount : NaN, validCount };
+}
+
+// Nearest-neighbour downsample of a 2D array to size×size RGBA pixels
+export function renderThumbnail(data, width, height, min, max, size = 128) {
+    const pixels = new Uint8ClampedArray(size * size * 4);
+    const range = max - min || 1;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const srcX = Math.floor((x / size) * width);
+            const srcY = Math.floor((y / size) * height);
+            const val = data[srcY * width + srcX];
+            const normalized = isFinite(val) ? Math.max(0, Math.min(1, (val - min) / range)) : 0;
+            const gray = Math.floor(normalized * 255);
+            const idx = (y * size + x) * 4;
+            pixels[idx] = pixels[idx + 1] = pixels[idx + 2] = gray;
+            pixels[idx + 3] = 255;
+        }
+    }
+    return pixels;
+}
+
+export function thumbnailDataUrl(pixels, size = 128) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    ctx.putImageData(new ImageData(pixels, size, size), 0, 0);
+    return canvas.toDataURL();
+}
@@ -0,0 +1,142 @@
+// datx-metadata.js
+// Turns HDF5 attributes from Zygo DATX files into plain values and physical scaling
+
+import { unitToMeters } from './units.js';
+
+// Convert an h5wasm attribute to plain JS: compound rows become objects keyed by
+// member name, single-element arrays are unwrapped and BigInts become numbers
+export function readAttributeValue(attr) {
+    let value = attr.value;
+    const members = attr.metadata?.compound_type?.members;
+
+    const plain = v => {
+        if (typeof v === 'bigint') return Number(v);
+        if (ArrayBuffer.isView(v)) return Array.from(v, plain);
+        if (Array.isArray(v)) return v.map(plain);
+        return v;
+    };
+
+    value = plain(value);
+
+    if (members && Array.isArray(value)) {
+        const toObject = row => {
+            if (!Array.isArray(row)) return row;
+            const obj = {};
+            members.forEach((member, i) => { obj[member.name] = row[i]; });
+            return obj;
+        };
+        value = Array.isArray(value[0]) ? value.map(toObject) : toObject(value);
+    }
+
+    while (Array.isArray(value) && value.length === 1) {
+        value = value[0];
+    }
+    return value;
+}
+
+export function readAttributes(item) {
+    const attrs = {};
+    let entries = [];
+    try {
+        entries = Object.entries(item.attrs || {});
+    } catch (e) {
+        console.log('Could not list attributes:', e.message);
+    }
+
+    for (const [name, attr] of entries) {
+        try {
+            attrs[name] = readAttributeValue(attr);
+        } catch (e) {
+            console.log(`Could not read attribute ${name}:`, e.message);
+        }
+    }
+    return attrs;
+}
+
+// Converters are compound {Category, BaseUnit, Parameters}; older exports
+// come back as positional arrays, so fall back to the field index
+function converterField(converter, name, index) {
+    if (converter == null) return undefined;
+    if (Array.isArray(converter)) return converter[index];
+    return converter[name];
+}
+
+function converterParameter(converter, index) {
+    const params = converterField(converter, 'Parameters', 2);
+    return Array.isArray(params) ? params[index] : undefined;
+}
+
+function finiteNumber(value) {
+    return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+// Metres per pixel along one axis, from "X Converter"/"Y Converter"
+function lateralResolution(converter) {
+    const base = unitToMeters(converterField(converter, 'BaseUnit', 1));
+    const resolution = finiteNumber(converterParameter(converter, 1));
+    if (base == null || resolution == null || resolution <= 0) return null;
+    return resolution * base;
+}
+
+// Factor that turns stored Z values into metres. Interferometric data stored
+// as fringes/waves is scaled by wavelength × scale factor × obliquity.
+function heightScale(attrs) {
+    const unit = typeof attrs['Unit'] === 'string' ? attrs['Unit'] : '';
+    const direct = unitToMeters(unit);
+    if (direct != null) return { toMeters: direct, sourceUnit: unit };
+
+    if (/^(fringes|waves)$/i.test(unit)) {
+        const converter = attrs['Z Converter'];
+        const wavelength = finiteNumber(attrs['Wavelength']) ?? finiteNumber(converterParameter(converter, 1));
+        const scaleFactor = finiteNumber(attrs['Interferometric Scale Factor']) ?? finiteNumber(converterParameter(converter, 2)) ?? 1;
+        const obliquity = finiteNumber(attrs['Obliquity Factor']) ?? finiteNumber(converterParameter(converter, 3)) ?? 1;
+        if (wavelength != null) {
+            return { toMeters: wavelength * scaleFactor * obliquity, sourceUnit: unit };
+        }
+    }
+
+    if (!unit) {
+        const base = unitToMeters(converterField(attrs['Z Converter'], 'BaseUnit', 1));
+        if (base != null) return { toMeters: base, sourceUnit: 'Meters' };
+    }
+
+    return { toMeters: null, sourceUnit: unit || null };
+}
+
+// Plain scale attributes written by our own exporter, which cannot write compound converters
+export const EXPORT_SCALE_ATTRS = {
+    pixelSizeX: 'Pixel Size X (m)',
+    pixelSizeY: 'Pixel Size Y (m)',
+    zToMeters: 'Height Scale (m)'
+};
+
+// Physical description of a single dataset
+export function parseDatasetMetadata(attrs) {
+    const { toMeters, sourceUnit } = heightScale(attrs);
+    const noData = typeof attrs['No Data'] === 'number' ? attrs['No Data'] : null;
+    const exported = key => finiteNumber(attrs[EXPORT_SCALE_ATTRS[key]]);
+
+    return {
+        pixelSizeX: exported('pixelSizeX') ?? lateralResolution(attrs['X Converter']),
+        pixelSizeY: exported('pixelSizeY') ?? lateralResolution(attrs['Y Converter']),
+        zToMeters: exported('zToMeters') ?? toMeters,
+        zUnit: sourceUnit,
+        noData
+    };
+}
+
+// Replace the "No Data" marker with NaN so it is treated like any other dropout
+export function applyNoData(data, noData) {
+    if (noData == null) return 0;
+    // Data is float32, so compare against the marker at the same precision
+    const marker = Math.fround(noData);
+    const huge = Math.abs(noData) > 1e30;
+    let count = 0;
+    for (let i = 0; i < data.length; i++) {
+        if (data[i] === marker || (huge && Math.abs(data[i]) > 1e30)) {
+            data[i] = NaN;
+            count++;
+        }
+    }
+    return count;
+}
@@ -0,0 +1,155 @@
+// defects.js
+// Connected-component labelling of the defect mask into a list of individual defects
+
+/**
+ * 8- (or 4-) connected components of mask (1 = defect). Returns { labels, count } where labels
+ * holds 1..count per pixel and 0 for background; labels are numbered in scan order.
+ */
+export function labelComponents(mask, width, height, connectivity = 8) {
+    const labels = new Int32Array(mask.length);
+    const stack = new Int32Array(mask.length);
+    let count = 0;
+
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || labels[start]) continue;
+        const label = ++count;
+        labels[start] = label;
+        let top = 0;
+        stack[top++] = start;
+        while (top > 0) {
+            const i = stack[--top];
+            const x = i % width;
+            const y = (i - x) / width;
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    if (nx < 0 || nx >= width) continue;
+                    if (connectivity === 4 && dx !== 0 && dy !== 0) continue;
+                    const n = ny * width + nx;
+                    if (mask[n] && !labels[n]) {
+                        labels[n] = label;
+                        stack[top++] = n;
+                    }
+                }
+            }
+        }
+    }
+    return { labels, count };
+}
+
+/**
+ * Defects from a labelled mask:
+ * { id, bbox: { x0, y0, x1, y1 } (inclusive), area (px), centroid: { x, y },
+ *   peakResidual, meanResidual, heightDeviation }
+ * peakResidual and meanResidual cover the finite residuals only (NaN if there are none).
+ * heightDeviation is the mean height inside the defect minus the mean height of the
+ * non-defect pixels in a margin around its bounding box (NaN if either is missing).
+ */
+export function extractDefects(mask, residual, surface, width, height, { margin = 3 } = {}) {
+    const { labels, count } = labelComponents(mask, width, height);
+    const defects = [];
+    for (let id = 1; id <= count; id++) {
+        defects.push({
+            id,
+            bbox: { x0: width, y0: height, x1: -1, y1: -1 },
+            area: 0,
+            centroid: { x: 0, y: 0 },
+            peakResidual: -Infinity,
+            meanResidual: 0,
+            heightDeviation: NaN,
+            residualCount: 0,
+            heightSum: 0,
+            heightCount: 0
+        });
+    }
+
+    for (let i = 0; i < labels.length; i++) {
+        const label = labels[i];
+        if (!label) continue;
+        const defect = defects[label - 1];
+        const x = i % width;
+        const y = (i - x) / width;
+        const { bbox } = defect;
+        if (x < bbox.x0) bbox.x0 = x;
+        if (x > bbox.x1) bbox.x1 = x;
+        if (y < bbox.y0) bbox.y0 = y;
+        if (y > bbox.y1) bbox.y1 = y;
+        defect.area++;
+        defect.centroid.x += x;
+        defect.centroid.y += y;
+        const value = residual[i];
+        if (isFinite(value)) {
+            defect.meanResidual += value;
+            defect.residualCount++;
+            if (value > defect.peakResidual) defect.peakResidual = value;
+        }
+        if (surface && isFinite(surface[i])) {
+            defect.heightSum += surface[i];
+            defect.heightCount++;
+        }
+    }
+
+    for (const defect of defects) {
+        defect.centroid.x /= defect.area;
+        defect.centroid.y /= defect.area;
+        if (defect.residualCount > 0) {
+            defect.meanResidual /= defect.residualCount;
+        } else {
+            defect.meanResidual = NaN;
+            defect.peakResidual = NaN;
+        }
+        if (surface && defect.heightCount > 0) {
+            const reference = surroundingMean(labels, surface, width, height, defect.bbox, margin);
+            defect.heightDeviation = defect.heightSum / defect.heightCount - reference;
+        }
+        delete defect.residualCount;
+        delete defect.heightSum;
+        delete defect.heightCount;
+    }
+    return defects;
+}
+
+// Mean of finite, unlabelled surface values in the bbox grown by margin
+function surroundingMean(labels, surface, width, height, bbox, margin) {
+    const x0 = Math.max(0, bbox.x0 - margin);
+    const x1 = Math.min(width - 1, bbox.x1 + margin);
+    const y0 = Math.max(0, bbox.y0 - margin);
+    const y1 = Math.min(height - 1, bbox.y1 + margin);
+    let sum = 0;
+    let count = 0;
+    for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+            const i = y * width + x;
+            if (!labels[i] && isFinite(surface[i])) {
+                sum += surface[i];
+                count++;
+            }
+        }
+    }
+    return count > 0 ? sum / count : NaN;
+}
+
+// Sort keys for the defect table
+export const DEFECT_COLUMNS = {
+    id: { label: '#', value: d => d.id },
+    area: { label: 'Area (px)', value: d => d.area },
+    centroid: { label: 'Position', value: d => d.centroid.y * 1e6 + d.centroid.x },
+    peakResidual: { label: 'Peak', value: d => d.peakResidual },
+    meanResidual: { label: 'Mean', value: d => d.meanResidual },
+    heightDeviation: { label: 'Δ Height', value: d => d.heightDeviation }
+};
+
+export function sortDefects(defects, column, ascending) {
+    const value = DEFECT_COLUMNS[column].value;
+    const sign = ascending ? 1 : -1;
+    // NaN (no height reference) always sorts last
+    return [...defects].sort((a, b) => {
+        const va = value(a);
+        const vb = value(b);
+        if (isNaN(va)) return isNaN(vb) ? 0 : 1;
+        if (isNaN(vb)) return -1;
+        return sign * (va - vb);
+    });
+}
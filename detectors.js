@@ -0,0 +1,292 @@
+// detectors.js
+// Detector registry: wasm models and non-ML detectors behind one interface, created lazily
+//
+// A detector is { id, name, kind: 'wasm' | 'classical', description, create: async ({ backend }) => instance },
+// plus { user, source, sha256 } for models loaded at runtime.
+// with backend the setting from backends.js. An instance is one of
+//   { mode: 'tiles', manifest, sha256, inferBatch: async (Float32Array tiles, count) => { data, shape }, reinitialize(), free(), worker }
+//   { mode: 'image', manifest, detect: async (processor) => { reconstruction?, anomaly? }, free() }
+// and says where it runs: backend ('webgpu' | 'cpu' | 'js') and backendNote (why auto fell back, or null).
+// where manifest follows model-manifest.js and inferBatch is TileModel.inferBatch (model-wrapper.js).
+// worker = { moduleUrl, className, module } lets the app run tiles on inference-worker.js, each
+// worker instantiating the same compiled module.
+
+import { DEFAULT_MANIFEST, MANIFEST_URL, loadManifest, validateManifest, checkBackends, modelArguments } from './model-manifest.js';
+import { CLASSICAL_DETECTORS } from './classical-detectors.js';
+import { TileModel } from './model-wrapper.js';
+import { BACKEND_NAMES, probeWebGPU, resolveBackend } from './backends.js';
+import { gpuMonitor } from './gpu-monitor.js';
+
+const SELECTED_KEY = 'selectedDetector';
+
+export const DEFAULT_DETECTOR_ID = 'mnist';
+
+export async function sha256Hex(buffer) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compile model weights and check they export what the bindings for className call, so a wasm
+ * from another crate fails here rather than on the first tile.
+ */
+export async function compileWeights(bytes, className = 'Mnist', source = 'Model weights') {
+    let module;
+    try {
+        module = await WebAssembly.compile(bytes);
+    } catch (error) {
+        throw new Error(`${source} is not a valid WebAssembly module (${error.message})`);
+    }
+    const prefix = className.toLowerCase();
+    const exported = new Set(WebAssembly.Module.exports(module).map(e => e.name));
+    const missing = ['memory', `${prefix}_new`, `${prefix}_inference`, `__wbg_${prefix}_free`].filter(name => !exported.has(name));
+    if (missing.length > 0) {
+        throw new Error(`${source} does not export ${missing.join(', ')}; it was not built from the ${className} model crate`);
+    }
+    return module;
+}
+
+// The manifest's backend for the setting, or an error saying why the model can't run as asked
+async function chooseBackend(name, manifest, setting = 'auto') {
+    const { backend, fallback, reason } = resolveBackend(setting, manifest.backends, await probeWebGPU());
+    if (!backend) {
+        const target = setting === 'auto' ? 'in this browser' : `on ${BACKEND_NAMES[setting]}`;
+        throw new Error(`${name} can't run ${target}: ${reason}`);
+    }
+    return { backend, note: fallback ? `Running on the CPU because ${reason}.` : null };
+}
+
+function createModel(bindings, compiled, { moduleUrl, className, manifest, backend }) {
+    try {
+        bindings.initSync({ module: compiled });
+    } catch (error) {
+        // LinkError: the weights import bindings other than the ones they are loaded with
+        throw new Error(`Weights don't match the ${className} bindings in ${moduleUrl} (${error.message})`);
+    }
+    const ModelClass = bindings[className];
+    if (typeof ModelClass !== 'function') {
+        throw new Error(`${moduleUrl} does not export a ${className} class`);
+    }
+    return new TileModel(new ModelClass(...modelArguments(manifest, backend, ModelClass)), manifest);
+}
+
+/**
+ * Tiles instance from bindings instantiated with compiled weights; the model class gets the
+ * backend name if the manifest offers a choice. On WebGPU each batch is guarded by gpu-monitor.js
+ * on the model's own devices, and reinitialize() replaces a model whose device was lost with one
+ * on a fresh copy of the bindings (a new wasm instance requests a new device; the old copy stays
+ * loaded, as modules can't be unloaded, but its device is destroyed).
+ */
+function wasmInstance(bindings, compiled, options) {
+    const { moduleUrl, className, manifest, sha256, backend, note } = options;
+    let model = createModel(bindings, compiled, options);
+    let generation = 0;
+    return {
+        mode: 'tiles',
+        manifest,
+        sha256,
+        backend,
+        backendNote: note,
+        inferBatch: (tiles, count) => {
+            const current = model;
+            return backend === 'webgpu'
+                ? gpuMonitor.guard(() => current.inferBatch(tiles, count), current)
+                : current.inferBatch(tiles, count);
+        },
+        async reinitialize() {
+            const fresh = await import(`${moduleUrl}${moduleUrl.includes('?') ? '&' : '?'}instance=${++generation}`);
+            const replacement = createModel(fresh, compiled, options);
+            gpuMonitor.release(model);
+            try {
+                model.free();
+            } catch (error) {
+                console.warn('Could not free the failed model:', error);
+            }
+            model = replacement;
+        },
+        free: () => {
+            gpuMonitor.release(model);
+            model.free();
+        },
+        worker: { moduleUrl, className, module: compiled, backend }
+    };
+}
+
+/**
+ * Detector backed by a wasm-bindgen module exporting initSync and a model class with
+ * inference(Float32Array) and free(). The module and its weights (<module>_bg.wasm, as
+ * wasm-bindgen names them) are only fetched when first selected; the weights are hashed so
+ * results can say which ones produced them.
+ */
+export function wasmDetector({ id, name, description = '', moduleUrl, manifestUrl, className = 'Mnist', fallbackManifest = null }) {
+    return {
+        id,
+        name,
+        kind: 'wasm',
+        description,
+        moduleUrl,
+        async create({ backend: setting } = {}) {
+            let manifest;
+            try {
+                manifest = await loadManifest(manifestUrl);
+            } catch (error) {
+                if (!fallbackManifest) throw error;
+                console.warn(`${name}: using built-in manifest:`, error.message);
+                manifest = fallbackManifest;
+            }
+
+            const { backend, note } = await chooseBackend(name, manifest, setting);
+
+            const weightsUrl = moduleUrl.replace(/\.js$/, '_bg.wasm');
+            const response = await fetch(weightsUrl);
+            if (!response.ok) {
+                throw new Error(`Could not load model weights ${weightsUrl}: ${response.status} ${response.statusText}`);
+            }
+            const bytes = await response.arrayBuffer();
+            const [bindings, compiled, sha256] = await Promise.all([
+                import(moduleUrl),
+                compileWeights(bytes, className, weightsUrl),
+                sha256Hex(bytes)
+            ]);
+            return wasmInstance(bindings, compiled, { moduleUrl, className, manifest, sha256, backend, note });
+        }
+    };
+}
+
+/**
+ * Detector for weights supplied at runtime (retrained models): a wasm built from the same crate
+ * as bindingsUrl, with its manifest. Validation happens here, before the detector is registered:
+ * the manifest, the wasm's exports, that the bindings can run the backends the manifest lists
+ * and, if the manifest lists weights.sha256, the hash.
+ * Each user model imports its own copy of the bindings (a distinct URL), since wasm-bindgen
+ * keeps one instance per module.
+ */
+export async function userModelDetector({ bytes, manifestJson, source, bindingsUrl, className = 'Mnist' }) {
+    const manifest = validateManifest(manifestJson);
+    const sha256 = await sha256Hex(bytes);
+    const expected = manifest.weights?.sha256;
+    if (expected && expected !== sha256) {
+        throw new Error(`${source}: SHA-256 is ${sha256}, but the manifest expects ${expected}`);
+    }
+    const compiled = await compileWeights(bytes, className, source);
+
+    const id = `user-${sha256.slice(0, 12)}`;
+    const moduleUrl = `${bindingsUrl}?model=${id}`;
+    const ModelClass = (await import(moduleUrl))[className];
+    if (typeof ModelClass !== 'function') {
+        throw new Error(`${bindingsUrl} does not export a ${className} class`);
+    }
+    checkBackends(manifest, ModelClass);
+    return {
+        id,
+        name: `${manifest.name} v${manifest.version}`,
+        kind: 'wasm',
+        user: true,
+        source,
+        sha256,
+        description: `${source} · SHA-256 ${sha256.slice(0, 12)}…`,
+        async create({ backend: setting } = {}) {
+            const { backend, note } = await chooseBackend(manifest.name, manifest, setting);
+            return wasmInstance(await import(moduleUrl), compiled, { moduleUrl, className, manifest, sha256, backend, note });
+        }
+    };
+}
+
+export class DetectorRegistry {
+    constructor() {
+        this.detectors = new Map();
+        this.activeId = null;
+        this.instance = null;
+        this.activating = null;
+    }
+
+    register(detector) {
+        if (!detector.id || typeof detector.create !== 'function') {
+            throw new Error('Detector needs an id and a create() function');
+        }
+        this.detectors.set(detector.id, detector);
+    }
+
+    // Remove a detector, freeing it first if it is active
+    unregister(id) {
+        if (this.activeId === id) {
+            this.release();
+            this.activeId = null;
+        }
+        this.detectors.delete(id);
+    }
+
+    list() {
+        return Array.from(this.detectors.values());
+    }
+
+    get(id) {
+        return this.detectors.get(id) || null;
+    }
+
+    get active() {
+        return this.get(this.activeId);
+    }
+
+    // Create the detector's instance, freeing the previous one; concurrent calls resolve to the last request.
+    // options are passed to create().
+    async activate(id, options = {}) {
+        const detector = this.get(id);
+        if (!detector) throw new Error(`Unknown detector: ${id}`);
+        if (this.activeId === id && this.instance) return this.instance;
+
+        this.release();
+        this.activeId = id;
+        const activating = detector.create(options);
+        this.activating = activating;
+        let instance;
+        try {
+            instance = await activating;
+        } catch (error) {
+            if (this.activating === activating) this.activating = null;
+            throw error;
+        }
+        if (this.activating !== activating) {
+            // Superseded while loading
+            if (instance.free) instance.free();
+            return null;
+        }
+        this.activating = null;
+        this.instance = instance;
+        return instance;
+    }
+
+    release() {
+        if (this.instance && this.instance.free) {
+            try {
+                this.instance.free();
+            } catch (error) {
+                console.warn(`Could not free detector ${this.activeId}:`, error);
+            }
+        }
+        this.instance = null;
+        this.activating = null;
+    }
+}
+
+export function loadSelectedDetectorId() {
+    return localStorage.getItem(SELECTED_KEY) || DEFAULT_DETECTOR_ID;
+}
+
+export function saveSelectedDetectorId(id) {
+    localStorage.setItem(SELECTED_KEY, id);
+}
+
+export function createDefaultRegistry() {
+    const registry = new DetectorRegistry();
+    registry.register(wasmDetector({
+        id: DEFAULT_DETECTOR_ID,
+        name: 'Mnist autoencoder',
+        description: 'Reconstructs intensity tiles on the GPU (WebGPU); defects are pixels it cannot reproduce.',
+        moduleUrl: new URL('../pkg/browser_models.js', import.meta.url).href,
+        manifestUrl: MANIFEST_URL,
+        fallbackManifest: DEFAULT_MANIFEST
+    }));
+    for (const detector of CLASSICAL_DETECTORS) registry.register(detector);
+    return registry;
+}
@@ -0,0 +1,105 @@
+// exporters/hdf5.js
+// Writes the loaded datasets and inference results to a new HDF5 file with h5wasm
+
+import { loadH5wasm, tempFileName } from '../h5.js';
+import { EXPORT_SCALE_ATTRS } from '../datx-metadata.js';
+
+export const RESULTS_GROUP = 'DefectDetection';
+
+const isInt32 = v => Number.isInteger(v) && Math.abs(v) < 2 ** 31;
+
+// h5wasm 0.4 can only write numbers, strings and flat arrays of them;
+// compound attributes (DATX converters) are stored as JSON text.
+// Non-integer numbers go in as Float64Array: plain JS floats are routed
+// through BigInt by h5wasm's float64 conversion and fail
+function attributeValue(value) {
+    if (value == null) return null;
+    if (typeof value === 'boolean') return Number(value);
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number') return isInt32(value) ? value : Float64Array.of(value);
+    if (Array.isArray(value) && value.length > 0) {
+        if (value.every(v => typeof v === 'string')) return value;
+        if (value.every(v => typeof v === 'number')) {
+            return value.every(isInt32) ? value : Float64Array.from(value);
+        }
+    }
+    return JSON.stringify(value);
+}
+
+function writeAttributes(item, attrs) {
+    for (const [name, raw] of Object.entries(attrs || {})) {
+        const value = attributeValue(raw);
+        if (value === null || value === '') continue;
+        try {
+            item.create_attribute(name, value);
+        } catch (e) {
+            console.warn(`Could not write attribute ${name}:`, e.message);
+        }
+    }
+}
+
+// Create missing parent groups of an absolute-ish path like "Measurement/Surface"
+function ensureGroup(file, path) {
+    let group = file;
+    let current = '';
+    for (const part of path.split('/').filter(Boolean)) {
+        current = current ? `${current}/${part}` : part;
+        group = file.get(current) || group.create_group(part);
+    }
+    return group;
+}
+
+function writeDataset(file, path, data, width, height, attrs) {
+    const parts = path.split('/').filter(Boolean);
+    const name = parts.pop();
+    const parent = ensureGroup(file, parts.join('/'));
+    const dataset = parent.create_dataset(name, data, [height, width]);
+    writeAttributes(dataset, attrs);
+    return dataset;
+}
+
+/**
+ * Build the file in h5wasm's virtual FS and return its bytes.
+ * bundle: see exporters/index.js
+ */
+export async function writeHdf5(bundle) {
+    const { h5wasm, FS } = await loadH5wasm();
+    const fname = tempFileName('h5');
+    const f = new h5wasm.File(fname, 'w');
+
+    try {
+        writeAttributes(f, bundle.attributes['/']);
+
+        for (const [path, dataset] of Object.entries(bundle.datasets)) {
+            const attrs = { ...bundle.attributes[path] };
+            const meta = bundle.datasetMetadata[path] || {};
+            for (const [key, attrName] of Object.entries(EXPORT_SCALE_ATTRS)) {
+                if (meta[key] != null) attrs[attrName] = meta[key];
+            }
+            writeDataset(f, path, dataset.data, dataset.width, dataset.height, attrs);
+        }
+
+        // Group attributes, now that the groups exist
+        for (const [path, attrs] of Object.entries(bundle.attributes)) {
+            if (path === '/' || bundle.datasets[path]) continue;
+            const group = f.get(path);
+            if (group) writeAttributes(group, attrs);
+        }
+
+        const results = ensureGroup(f, RESULTS_GROUP);
+        writeAttributes(results, bundle.resultAttributes);
+        for (const [name, array] of Object.entries(bundle.results)) {
+            writeDataset(f, `${RESULTS_GROUP}/${name}`, array, bundle.width, bundle.height, {});
+        }
+
+        f.flush();
+    } finally {
+        f.close();
+    }
+
+    try {
+        return FS.readFile(fname);
+    } finally {
+        FS.unlink(fname);
+    }
+}
@@ -0,0 +1,62 @@
+// exporters/index.js
+// Export formats for the current file and its inference results.
+//
+// A bundle is built by App.buildExportBundle():
+//   { fileName, format, width, height,
+//     datasets: { path: { data, width, height } },  original 2D datasets as loaded
+//     attributes: { path: {...} }, datasetMetadata: { path: { pixelSizeX, ... } },
+//     channels: { surface, intensity },
+//     results: { reconstruction, difference, height_anomaly, fused_score, defect_mask, validity_mask },  empty before inference
+//     resultAttributes: { 'Detector', 'Score Map', 'Threshold Strategy', 'Threshold', ... } }
+
+import { writeHdf5 } from './hdf5.js';
+import { writeNpz, writeNpyStack, writeNpyStackLayers } from './npy.js';
+
+export const EXPORT_FORMATS = [
+    {
+        id: 'hdf5',
+        name: 'HDF5 (.h5)',
+        extension: '.h5',
+        write: async bundle => new Blob([await writeHdf5(bundle)], { type: 'application/x-hdf5' })
+    },
+    {
+        id: 'npz',
+        name: 'NumPy archive (.npz)',
+        extension: '.npz',
+        write: async bundle => writeNpz(bundle)
+    },
+    {
+        id: 'npy',
+        name: 'NumPy stack (.npy)',
+        extension: '.npy',
+        write: async bundle => writeNpyStack(bundle),
+        // The stack has no names of its own
+        sidecar: { suffix: '_layers.json', write: writeNpyStackLayers }
+    }
+];
+
+// Returns the files to download: the export itself, then its sidecar if the format has one
+export async function exportBundle(formatId, bundle) {
+    const format = EXPORT_FORMATS.find(f => f.id === formatId);
+    if (!format) {
+        throw new Error(`Unknown export format ${formatId}`);
+    }
+    const baseName = (bundle.fileName || 'scan').replace(/\.[^.]+$/, '');
+    const suffix = Object.keys(bundle.results).length > 0 ? '_results' : '';
+    const files = [{ blob: await format.write(bundle), fileName: `${baseName}${suffix}${format.extension}` }];
+    if (format.sidecar) {
+        files.push({ blob: format.sidecar.write(bundle), fileName: `${baseName}${suffix}${format.sidecar.suffix}` });
+    }
+    return files;
+}
+
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
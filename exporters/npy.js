@@ -0,0 +1,95 @@
+// exporters/npy.js
+// NumPy .npy encoding and .npz archives of the export bundle
+
+import { writeZip } from '../zip.js';
+
+const DESCR = {
+    Float32Array: '<f4',
+    Float64Array: '<f8',
+    Uint8Array: '|u1',
+    Int16Array: '<i2',
+    Uint16Array: '<u2',
+    Int32Array: '<i4',
+    Uint32Array: '<u4'
+};
+
+// Version 1.0 header, padded so the data starts on a 64-byte boundary
+export function encodeNpy(data, shape) {
+    const descr = DESCR[data.constructor.name];
+    if (!descr) {
+        throw new Error(`Cannot write ${data.constructor.name} to .npy`);
+    }
+    const shapeText = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+    let header = `{'descr': '${descr}', 'fortran_order': False, 'shape': ${shapeText}, }`;
+    const total = 10 + header.length + 1;
+    header += ' '.repeat((64 - total % 64) % 64) + '\n';
+
+    const bytes = new Uint8Array(10 + header.length + data.byteLength);
+    bytes.set([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0]);
+    new DataView(bytes.buffer).setUint16(8, header.length, true);
+    for (let i = 0; i < header.length; i++) bytes[10 + i] = header.charCodeAt(i);
+    bytes.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), 10 + header.length);
+    return bytes;
+}
+
+// One array per dataset (keys are the original paths), results under "results/",
+// plus metadata.json which np.load returns as raw bytes
+export function writeNpz(bundle) {
+    const files = [];
+    for (const [path, dataset] of Object.entries(bundle.datasets)) {
+        files.push({ name: `${path.replace(/^\/+/, '')}.npy`, data: encodeNpy(dataset.data, [dataset.height, dataset.width]) });
+    }
+    for (const [name, array] of Object.entries(bundle.results)) {
+        files.push({ name: `results/${name}.npy`, data: encodeNpy(array, [bundle.height, bundle.width]) });
+    }
+    const metadata = {
+        source: bundle.fileName,
+        format: bundle.format,
+        channels: bundle.channels,
+        datasets: bundle.datasetMetadata,
+        results: bundle.resultAttributes
+    };
+    files.push({ name: 'metadata.json', data: new TextEncoder().encode(JSON.stringify(metadata, null, 2)) });
+    return writeZip(files);
+}
+
+// Result layers of the .npy stack, always in this order after the surface and intensity
+// channels. Results missing from the bundle (e.g. no reconstruction or fused score for
+// this detector) are written as NaN so a layer's index never depends on the detector.
+export const NPY_STACK_RESULTS = [
+    'reconstruction', 'difference', 'height_anomaly', 'fused_score', 'defect_mask', 'validity_mask'
+];
+
+// Layer names of the stack written for this bundle, in stack order
+export function npyStackLayers(bundle) {
+    const layers = ['surface', 'intensity'];
+    return Object.keys(bundle.results).length > 0 ? layers.concat(NPY_STACK_RESULTS) : layers;
+}
+
+// Single (N, H, W) float32 stack: surface, intensity and, after inference, NPY_STACK_RESULTS
+export function writeNpyStack(bundle) {
+    const size = bundle.width * bundle.height;
+    const names = npyStackLayers(bundle);
+    const stack = new Float32Array(names.length * size);
+    names.forEach((name, i) => {
+        const layer = name === 'surface' || name === 'intensity'
+            ? bundle.datasets[bundle.channels[name]].data
+            : bundle.results[name];
+        if (layer) {
+            stack.set(layer, i * size);
+        } else {
+            stack.fill(NaN, i * size, (i + 1) * size);
+        }
+    });
+    return new Blob([encodeNpy(stack, [names.length, bundle.height, bundle.width])], { type: 'application/octet-stream' });
+}
+
+// Written next to the stack: layer names by index plus the channel paths they came from
+export function writeNpyStackLayers(bundle) {
+    const layers = {
+        layers: npyStackLayers(bundle),
+        channels: bundle.channels,
+        source: bundle.fileName
+    };
+    return new Blob([JSON.stringify(layers, null, 2)], { type: 'application/json' });
+}
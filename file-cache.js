@@ -0,0 +1,226 @@
+// file-cache.js
+// Memory-bounded LRU cache of parsed files, with optional IndexedDB spill for evicted datasets.
+// A cached processor holds the datasets read so far; the caller reads missing ones from the source.
+
+const SETTINGS_KEY = 'fileCacheSettings';
+const DB_NAME = 'defect-detection-cache';
+const STORE_NAME = 'datasets';
+
+export const DEFAULT_CACHE_SETTINGS = { budgetMB: 512, spill: false };
+
+export function loadCacheSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        if (saved && typeof saved === 'object') return { ...DEFAULT_CACHE_SETTINGS, ...saved };
+    } catch (e) {
+        console.warn('Could not read cache settings:', e.message);
+    }
+    return { ...DEFAULT_CACHE_SETTINGS };
+}
+
+export function saveCacheSettings(settings) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// Bytes held by a processor's typed arrays, inference results included; arrays that share a buffer count once
+export function processorBytes(processor) {
+    const buffers = new Set();
+    for (const dataset of Object.values(processor.allDatasets)) {
+        if (dataset.data) buffers.add(dataset.data.buffer);
+    }
+    const maps = processor.resultMaps;
+    const derived = [processor.lastReconstructed, processor.lastAnomaly, processor.validityMask,
+        ...Object.values(processor.inferenceInputs || {}),
+        ...(maps ? [maps.reconstruction, maps.anomaly, ...maps.scores.arrays()] : [])];
+    for (const array of derived) {
+        if (array) buffers.add(array.buffer);
+    }
+    let total = 0;
+    for (const buffer of buffers) total += buffer.byteLength;
+    return total;
+}
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+class SpillStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            const req = indexedDB.open(DB_NAME, 1);
+            req.onupgradeneeded = () => req.result.createObjectStore(STORE_NAME);
+            this.dbPromise = request(req);
+        }
+        return this.dbPromise;
+    }
+
+    async run(mode, action) {
+        const db = await this.open();
+        const tx = db.transaction(STORE_NAME, mode);
+        const result = await request(action(tx.objectStore(STORE_NAME)));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        return result;
+    }
+
+    put(key, value) { return this.run('readwrite', store => store.put(value, key)); }
+    get(key) { return this.run('readonly', store => store.get(key)); }
+    delete(key) { return this.run('readwrite', store => store.delete(key)); }
+    clear() { return this.run('readwrite', store => store.clear()); }
+}
+
+/**
+ * Keeps the most recently used processors in memory up to budgetBytes.
+ * The newest entry and the pinned one (the file on screen, which stays in memory anyway) are
+ * never evicted, so a single file larger than the budget still opens.
+ * Result maps of an evicted processor are always written to IndexedDB (kept in memory if that
+ * fails), so results never need a rerun; with spill enabled its datasets go there too.
+ * restore() reads back whatever was written, and the caller reads missing datasets from the source.
+ */
+export class FileCache {
+    constructor({ budgetMB = DEFAULT_CACHE_SETTINGS.budgetMB, spill = DEFAULT_CACHE_SETTINGS.spill } = {}) {
+        this.budgetBytes = budgetMB * 1024 * 1024;
+        this.spill = spill && typeof indexedDB !== 'undefined';
+        this.entries = new Map(); // key -> { processor, bytes }, oldest first
+        this.spilled = new Map(); // key -> { datasets: bool } of what is in IndexedDB
+        this.pending = new Map(); // key -> spill in progress
+        this.kept = new Map(); // key -> { datasets: null, result } that could not be written to IndexedDB
+        this.pinned = null;
+        this.store = typeof indexedDB !== 'undefined' ? new SpillStore() : null;
+        this.usedBytes = 0;
+    }
+
+    configure({ budgetMB, spill }) {
+        if (budgetMB != null) this.budgetBytes = budgetMB * 1024 * 1024;
+        if (spill != null) this.spill = spill && !!this.store;
+        this.evict();
+    }
+
+    put(key, processor) {
+        this.remove(key);
+        const bytes = processorBytes(processor);
+        this.entries.set(key, { processor, bytes });
+        this.usedBytes += bytes;
+        this.evict();
+    }
+
+    // Resident processor, or null; a hit becomes the most recently used
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.processor;
+    }
+
+    // Re-measure after a processor gains data, e.g. a reconstruction
+    touch(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        this.spilled.delete(key); // The spilled copy is stale now; spill again on eviction
+        this.kept.delete(key);
+        this.usedBytes += processorBytes(entry.processor) - entry.bytes;
+        entry.bytes = processorBytes(entry.processor);
+        this.get(key);
+        this.evict();
+    }
+
+    // Keep key resident until another key is pinned
+    pin(key) {
+        this.pinned = key;
+        this.evict();
+    }
+
+    /**
+     * { datasets, result } saved when key was evicted, or null. datasets is null unless spill was
+     * on; result (null without one) holds the raw maps: { reconstruction, anomaly, detector, height }.
+     */
+    async restore(key) {
+        await this.pending.get(key);
+        if (this.kept.has(key)) return this.kept.get(key);
+        if (!this.spilled.has(key)) return null;
+        try {
+            return await this.store.get(key) || null;
+        } catch (e) {
+            console.warn(`Could not read ${key} from IndexedDB:`, e.message);
+            return null;
+        }
+    }
+
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.usedBytes -= entry.bytes;
+            this.entries.delete(key);
+        }
+    }
+
+    async clear() {
+        this.entries.clear();
+        this.pinned = null;
+        this.usedBytes = 0;
+        this.spilled.clear();
+        this.kept.clear();
+        if (this.store) {
+            try {
+                await this.store.clear();
+            } catch (e) {
+                console.warn('Could not clear IndexedDB cache:', e.message);
+            }
+        }
+    }
+
+    evict() {
+        const newest = Array.from(this.entries.keys()).pop();
+        const evictable = Array.from(this.entries).filter(([key]) => key !== newest && key !== this.pinned);
+        for (const [key, entry] of evictable) {
+            if (this.usedBytes <= this.budgetBytes) break;
+            this.remove(key);
+            console.log(`Cache: evicted ${key} (${(entry.bytes / 1048576).toFixed(1)} MB)`);
+            const saved = this.spilled.get(key);
+            const datasets = this.spill && !saved?.datasets;
+            if (datasets || (entry.processor.resultMaps && !saved)) {
+                const spilling = this.spillProcessor(key, entry.processor, datasets);
+                this.pending.set(key, spilling);
+                spilling.then(() => this.pending.delete(key));
+            }
+        }
+    }
+
+    async spillProcessor(key, processor, withDatasets) {
+        const maps = processor.resultMaps;
+        const record = {
+            datasets: withDatasets ? processor.allDatasets : null,
+            result: maps ? {
+                reconstruction: maps.reconstruction,
+                anomaly: maps.anomaly,
+                detector: maps.scores.maps.detector,
+                height: maps.scores.maps.height
+            } : null
+        };
+        this.kept.delete(key);
+        try {
+            if (!this.store) throw new Error('IndexedDB is not available');
+            await this.store.put(key, record);
+            this.spilled.set(key, { datasets: withDatasets });
+        } catch (e) {
+            console.warn(`Could not spill ${key} to IndexedDB:`, e.message);
+            // Results must survive eviction; the datasets can be read from the source again
+            if (record.result) this.kept.set(key, { datasets: null, result: record.result });
+        }
+    }
+
+    usage() {
+        return { usedBytes: this.usedBytes, budgetBytes: this.budgetBytes, resident: this.entries.size, spilled: this.spilled.size };
+    }
+}
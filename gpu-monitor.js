@@ -0,0 +1,130 @@
+// gpu-monitor.js
+// Watches the WebGPU devices created in this realm (each wasm model requests its own) for device
+// loss and uncaptured errors, and turns either into a GPUFailure for the model call that was running
+
+export class GPUFailure extends Error {
+    constructor(message, { lost = false } = {}) {
+        super(message);
+        this.name = 'GPUFailure';
+        this.lost = lost;
+    }
+}
+
+const INSTALLED = Symbol('gpuMonitorInstalled');
+
+/**
+ * Devices are tracked per owner, the model whose wasm requested them: a device created while one
+ * owner's guard is running is that owner's; any other is claimed by the next guard. release()
+ * destroys an owner's devices when its model is freed or replaced, after which nothing they
+ * report counts as a failure.
+ */
+class GPUMonitor {
+    constructor() {
+        this.owners = new Map(); // Watched device -> owner, null until claimed
+        this.running = new Map(); // Owner -> guards in flight
+        this.listeners = new Set();
+    }
+
+    /**
+     * Wrap GPUAdapter.requestDevice so every device, including the ones the wasm bindings
+     * create, is watched. Safe to call more than once; a no-op without WebGPU.
+     */
+    install() {
+        if (typeof GPUAdapter === 'undefined' || GPUAdapter.prototype[INSTALLED]) return;
+        const requestDevice = GPUAdapter.prototype.requestDevice;
+        const monitor = this;
+        GPUAdapter.prototype.requestDevice = async function (...args) {
+            const device = await requestDevice.apply(this, args);
+            monitor.watch(device);
+            return device;
+        };
+        GPUAdapter.prototype[INSTALLED] = true;
+    }
+
+    watch(device) {
+        const running = Array.from(this.running.keys());
+        this.owners.set(device, running.length === 1 ? running[0] : null);
+        device.lost.then(info => {
+            if (!this.owners.has(device)) return; // Released with its model
+            const owner = this.owners.get(device);
+            this.owners.delete(device);
+            // Devices we destroy ourselves (the capability probe) are not failures
+            if (info.reason === 'destroyed') return;
+            this.report(new GPUFailure(`WebGPU device lost${info.message ? `: ${info.message}` : ''}`, { lost: true }), owner);
+        });
+        device.addEventListener('uncapturederror', e => {
+            if (!this.owners.has(device)) return;
+            this.report(new GPUFailure(`WebGPU error: ${e.error.message}`), this.owners.get(device));
+        });
+    }
+
+    devicesOf(owner) {
+        return Array.from(this.owners).filter(([, o]) => o === owner).map(([device]) => device);
+    }
+
+    // Stop watching owner's devices and destroy them; call before freeing or replacing its model
+    release(owner) {
+        for (const device of this.devicesOf(owner)) {
+            this.owners.delete(device);
+            device.destroy();
+        }
+    }
+
+    // failure.owner is the owner of the device it came from (null if unclaimed)
+    report(failure, owner = null) {
+        failure.owner = owner;
+        console.error(failure.message);
+        for (const listener of this.listeners) listener(failure);
+    }
+
+    // listener(GPUFailure) for every loss or uncaptured error; returns an unsubscribe function
+    onFailure(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Run fn inside validation, out-of-memory and internal error scopes on owner's devices.
+     * Rejects with GPUFailure if a scope caught an error, or if one of them (or an unclaimed
+     * device) is lost or raises an uncaptured error before fn settles (a lost device can leave
+     * fn waiting forever).
+     */
+    async guard(fn, owner) {
+        for (const [device, o] of this.owners) {
+            if (o === null) this.owners.set(device, owner);
+        }
+        const scoped = this.devicesOf(owner);
+        for (const device of scoped) {
+            device.pushErrorScope('internal');
+            device.pushErrorScope('out-of-memory');
+            device.pushErrorScope('validation');
+        }
+        this.running.set(owner, (this.running.get(owner) || 0) + 1);
+        let unsubscribe;
+        const failed = new Promise((resolve, reject) => {
+            unsubscribe = this.onFailure(failure => {
+                if (failure.owner === owner || failure.owner === null) reject(failure);
+            });
+        });
+        const running = fn();
+        running.catch(() => {}); // Settles after a failure has already been reported
+        try {
+            return await Promise.race([running, failed]);
+        } finally {
+            unsubscribe();
+            const count = this.running.get(owner) - 1;
+            if (count > 0) this.running.set(owner, count);
+            else this.running.delete(owner);
+            const errors = [];
+            for (const device of scoped) {
+                for (let i = 0; i < 3; i++) {
+                    const error = await device.popErrorScope().catch(() => null);
+                    if (error) errors.push(error.message);
+                }
+            }
+            if (errors.length > 0) throw new GPUFailure(`WebGPU error: ${errors.join('; ')}`);
+        }
+    }
+}
+
+export const gpuMonitor = new GPUMonitor();
@@ -0,0 +1,23 @@
+// h5.js
+// Shared h5wasm loader; the library and its virtual filesystem are initialised once
+
+const H5WASM_URL = 'https://cdn.jsdelivr.net/npm/h5wasm@0.4.9/dist/esm/hdf5_hl.js';
+
+let h5wasmPromise = null;
+let tempFileCounter = 0;
+
+export async function loadH5wasm() {
+    if (!h5wasmPromise) {
+        h5wasmPromise = import(H5WASM_URL).then(async h5wasm => {
+            const { FS } = await h5wasm.ready;
+            return { h5wasm, FS };
+        });
+    }
+    return h5wasmPromise;
+}
+
+// Unique name in the virtual FS so concurrent loads don't overwrite each other
+export function tempFileName(extension = 'h5') {
+    tempFileCounter++;
+    return `temp_${Date.now()}_${tempFileCounter}.${extension}`;
+}
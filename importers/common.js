@@ -0,0 +1,51 @@
+// importers/common.js
+// Helpers for importers that produce a few flat 2D arrays rather than an HDF5 tree
+
+/**
+ * Build the shared import result from a list of 2D arrays.
+ * entries: [{ path, data: Float32Array, width, height, dtype, meta, attrs }]
+ *   meta: { pixelSizeX, pixelSizeY, zToMeters, zUnit } (metres; null when unknown)
+ * rootAttrs: header fields shown on the root node of the structure browser
+ */
+export function buildResult(format, entries, rootAttrs = {}) {
+    const datasets = {};
+    const metadata = { attributes: { '/': rootAttrs }, datasets: {} };
+    const structure = { name: '/', path: '', type: 'group', attrs: rootAttrs, children: [] };
+
+    for (const entry of entries) {
+        const name = entry.path.split('/').pop();
+        datasets[entry.path] = {
+            data: entry.data,
+            width: entry.width,
+            height: entry.height,
+            name,
+            fullPath: entry.path
+        };
+        metadata.datasets[entry.path] = {
+            pixelSizeX: entry.meta?.pixelSizeX ?? null,
+            pixelSizeY: entry.meta?.pixelSizeY ?? null,
+            zToMeters: entry.meta?.zToMeters ?? null,
+            zUnit: entry.meta?.zUnit ?? null,
+            noData: null
+        };
+        metadata.attributes[entry.path] = entry.attrs || {};
+        structure.children.push({
+            name,
+            path: entry.path,
+            type: 'dataset',
+            shape: [entry.height, entry.width],
+            dtype: entry.dtype,
+            attrs: entry.attrs || {}
+        });
+    }
+
+    return { format, datasets, metadata, structure };
+}
+
+export function startsWithAscii(bytes, text, offset = 0) {
+    if (bytes.length < offset + text.length) return false;
+    for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+}
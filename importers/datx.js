@@ -0,0 +1,142 @@
+// importers/datx.js
+// Zygo DATX and other HDF5 files, read with h5wasm
+
+import { loadH5wasm, tempFileName } from '../h5.js';
+import { readAttributes, parseDatasetMetadata, applyNoData } from '../datx-metadata.js';
+
+const HDF5_SIGNATURE = [0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// The superblock may sit at 0, 512, 1024, 2048... when the file has a user block
+function hasHdf5Signature(bytes) {
+    for (let offset = 0; offset + 8 <= bytes.length && offset <= 4096; offset = offset ? offset * 2 : 512) {
+        if (HDF5_SIGNATURE.every((b, i) => bytes[offset + i] === b)) return true;
+    }
+    return false;
+}
+
+// A 2D dataset as Float32Array, with its "No Data" value replaced by NaN
+function readImage(item, fullPath, datasetMeta) {
+    const data = new Float32Array(item.value);
+    const [height, width] = item.shape;
+    const noDataCount = applyNoData(data, datasetMeta.noData);
+    if (noDataCount > 0) {
+        console.log(`${fullPath}: ${noDataCount} "No Data" pixels`);
+    }
+    return { data, width, height, name: fullPath.split('/').pop(), fullPath };
+}
+
+async function load(buffer) {
+    const { h5wasm, FS } = await loadH5wasm();
+
+    const fname = tempFileName('datx');
+    FS.writeFile(fname, new Uint8Array(buffer));
+
+    const f = new h5wasm.File(fname, "r");
+
+    try {
+        // Explore the entire file structure
+        console.log('Exploring DATX file structure...');
+        const datasets = {};
+        const metadata = { attributes: { '/': readAttributes(f) }, datasets: {} };
+        const structure = { name: '/', path: '', type: 'group', attrs: metadata.attributes['/'], children: [] };
+
+        // Function to recursively explore HDF5 structure
+        const exploreGroup = (path = '', parentNode = structure) => {
+            const keys = path ? f.get(path).keys() : f.keys();
+            console.log(`Keys at ${path || 'root'}:`, keys);
+
+            for (const key of keys) {
+                const fullPath = path ? `${path}/${key}` : key;
+                try {
+                    const item = f.get(fullPath);
+
+                    // Check if it's a group or dataset
+                    if (item.type === 'Group') {
+                        console.log(`Found group: ${fullPath}`);
+                        const attrs = readAttributes(item);
+                        metadata.attributes[fullPath] = attrs;
+                        const node = { name: key, path: fullPath, type: 'group', attrs, children: [] };
+                        parentNode.children.push(node);
+                        exploreGroup(fullPath, node);
+                    } else if (item.type === 'Dataset') {
+                        console.log(`Found dataset: ${fullPath}`, item.shape, item.dtype);
+                        const attrs = readAttributes(item);
+                        metadata.attributes[fullPath] = attrs;
+                        parentNode.children.push({
+                            name: key,
+                            path: fullPath,
+                            type: 'dataset',
+                            shape: item.shape,
+                            dtype: item.dtype,
+                            attrs
+                        });
+
+                        // Only load 2D datasets that look like images
+                        if (item.shape && item.shape.length === 2) {
+                            const datasetMeta = parseDatasetMetadata(attrs);
+                            metadata.datasets[fullPath] = datasetMeta;
+                            datasets[fullPath] = readImage(item, fullPath, datasetMeta);
+                        }
+                    }
+                } catch (e) {
+                    console.log(`Could not access ${fullPath}:`, e.message);
+                }
+            }
+        };
+
+        exploreGroup();
+
+        return { format: 'DATX', datasets, metadata, structure };
+    } finally {
+        f.close();
+        FS.unlink(fname);
+    }
+}
+
+/**
+ * Only the 2D datasets at paths, from a File or Blob. In a worker the file is mounted with
+ * WORKERFS, so h5wasm reads just the chunks it needs; elsewhere it is copied in whole.
+ */
+async function readDatasets(source, paths) {
+    const { h5wasm, FS } = await loadH5wasm();
+    const fname = tempFileName('datx');
+    const mount = typeof FileReaderSync !== 'undefined' && FS.filesystems && FS.filesystems.WORKERFS
+        ? `/${fname}.mount`
+        : null;
+    if (mount) {
+        FS.mkdir(mount);
+        FS.mount(FS.filesystems.WORKERFS, { blobs: [{ name: fname, data: source }] }, mount);
+    } else {
+        FS.writeFile(fname, new Uint8Array(await source.arrayBuffer()));
+    }
+
+    const f = new h5wasm.File(mount ? `${mount}/${fname}` : fname, "r");
+    try {
+        const datasets = {};
+        for (const path of paths) {
+            const item = f.get(path);
+            if (!item || item.type !== 'Dataset' || !item.shape || item.shape.length !== 2) {
+                throw new Error(`${path} is not a 2D dataset`);
+            }
+            datasets[path] = readImage(item, path, parseDatasetMetadata(readAttributes(item)));
+        }
+        return datasets;
+    } finally {
+        f.close();
+        if (mount) {
+            FS.unmount(mount);
+            FS.rmdir(mount);
+        } else {
+            FS.unlink(fname);
+        }
+    }
+}
+
+export default {
+    id: 'datx',
+    name: 'Zygo DATX / HDF5',
+    extensions: ['.datx', '.h5', '.hdf5'],
+    magic: hasHdf5Signature,
+    load,
+    readDatasets
+};
@@ -0,0 +1,95 @@
+// importers/index.js
+// Importer registry: picks a parser by magic bytes, then by file extension.
+//
+// An importer is { id, name, extensions: ['.ext'], magic?: (bytes) => bool, load: async (buffer, fileName) => result,
+//                 readDatasets?: async (source, paths) => datasets }
+// (readDatasets re-reads single datasets from the File or Blob; without it the whole file is parsed again)
+// where result is { format, datasets, metadata, structure }:
+//   datasets:  { path: { data: Float32Array, width, height, name, fullPath } }
+//   metadata:  { attributes: { path: {...} }, datasets: { path: { pixelSizeX, pixelSizeY, zToMeters, zUnit, noData } } }
+//   structure: root node for the structure browser ({ name, path, type, attrs, children })
+
+import datx from './datx.js';
+import x3p from './x3p.js';
+import sur from './sur.js';
+import xyz from './xyz.js';
+import npy from './npy.js';
+import tiff from './tiff.js';
+
+const importers = [];
+
+export function registerImporter(importer) {
+    if (!importer.id || typeof importer.load !== 'function') {
+        throw new Error('Importer needs an id and a load() function');
+    }
+    const existing = importers.findIndex(i => i.id === importer.id);
+    if (existing >= 0) {
+        importers[existing] = importer;
+    } else {
+        importers.push(importer);
+    }
+}
+
+export function getImporters() {
+    return importers.slice();
+}
+
+function extensionOf(fileName) {
+    const match = /\.[^./\\]+$/.exec(fileName || '');
+    return match ? match[0].toLowerCase() : '';
+}
+
+export function acceptedExtensions() {
+    return importers.flatMap(importer => importer.extensions);
+}
+
+export function isSupportedFile(fileName) {
+    return acceptedExtensions().includes(extensionOf(fileName));
+}
+
+// Magic bytes win over the extension, so a mislabelled file still opens
+export function findImporter(fileName, buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 8192));
+    const byMagic = importers.find(importer => importer.magic && importer.magic(bytes));
+    if (byMagic) return byMagic;
+
+    const extension = extensionOf(fileName);
+    return importers.find(importer => importer.extensions.includes(extension)) || null;
+}
+
+export async function importFile(buffer, fileName) {
+    const importer = findImporter(fileName, buffer);
+    if (!importer) {
+        throw new Error(`No importer for ${fileName || 'file'}. Supported: ${acceptedExtensions().join(', ')}`);
+    }
+    console.log(`Importing ${fileName || 'file'} as ${importer.name}`);
+    return importer.load(buffer, fileName);
+}
+
+// { path: { data: null, width, height, name, fullPath } }: the datasets without their pixels
+export function describeDatasets(datasets) {
+    return Object.fromEntries(Object.entries(datasets).map(([path, { width, height, name, fullPath }]) =>
+        [path, { data: null, width, height, name, fullPath }]));
+}
+
+/**
+ * The datasets at paths, read again from source (the File or Blob the scan was loaded from),
+ * as { path: dataset }. Throws if one of them isn't a 2D dataset of the file.
+ */
+export async function readDatasets(source, fileName, paths) {
+    const importer = findImporter(fileName, await source.slice(0, 8192).arrayBuffer());
+    if (!importer) {
+        throw new Error(`No importer for ${fileName || 'file'}. Supported: ${acceptedExtensions().join(', ')}`);
+    }
+    if (importer.readDatasets) return importer.readDatasets(source, paths);
+
+    const { datasets } = await importer.load(await source.arrayBuffer(), fileName);
+    const picked = {};
+    for (const path of paths) {
+        if (!datasets[path]) throw new Error(`${fileName}: ${path} is not a 2D dataset`);
+        picked[path] = datasets[path];
+    }
+    return picked;
+}
+
+[datx, x3p, sur, xyz, npy, tiff].forEach(registerImporter);
@@ -0,0 +1,107 @@
+// importers/npy.js
+// NumPy .npy arrays: 2D (H, W) gives one dataset, 3D (N, H, W) gives N datasets
+
+import { buildResult, startsWithAscii } from './common.js';
+
+const DTYPES = {
+    f4: { bytes: 4, get: 'getFloat32' },
+    f8: { bytes: 8, get: 'getFloat64' },
+    i1: { bytes: 1, get: 'getInt8' },
+    u1: { bytes: 1, get: 'getUint8' },
+    b1: { bytes: 1, get: 'getUint8' },
+    i2: { bytes: 2, get: 'getInt16' },
+    u2: { bytes: 2, get: 'getUint16' },
+    i4: { bytes: 4, get: 'getInt32' },
+    u4: { bytes: 4, get: 'getUint32' },
+    i8: { bytes: 8, get: 'getBigInt64' },
+    u8: { bytes: 8, get: 'getBigUint64' }
+};
+
+export function parseNpyHeader(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (!startsWithAscii(bytes, '\x93NUMPY')) {
+        throw new Error('Not a NumPy .npy file');
+    }
+    const view = new DataView(buffer);
+    const major = bytes[6];
+    const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+    const headerStart = major === 1 ? 10 : 12;
+    const header = new TextDecoder('latin1').decode(bytes.subarray(headerStart, headerStart + headerLength));
+
+    // Header is a Python dict literal: {'descr': '<f4', 'fortran_order': False, 'shape': (480, 640), }
+    const descr = /'descr'\s*:\s*'([^']+)'/.exec(header);
+    const fortran = /'fortran_order'\s*:\s*(True|False)/.exec(header);
+    const shape = /'shape'\s*:\s*\(([^)]*)\)/.exec(header);
+    if (!descr || !shape) {
+        throw new Error(`Could not parse .npy header: ${header}`);
+    }
+
+    return {
+        descr: descr[1],
+        fortranOrder: fortran ? fortran[1] === 'True' : false,
+        shape: shape[1].split(',').map(s => s.trim()).filter(Boolean).map(Number),
+        dataOffset: headerStart + headerLength
+    };
+}
+
+async function load(buffer) {
+    const { descr, fortranOrder, shape, dataOffset } = parseNpyHeader(buffer);
+
+    const match = /^([<>|=])([a-z]\d+)$/.exec(descr);
+    const type = match && DTYPES[match[2]];
+    if (!type) {
+        throw new Error(`Unsupported .npy dtype ${descr}`);
+    }
+    const littleEndian = match[1] !== '>';
+
+    let count, height, width;
+    if (shape.length === 2) {
+        [height, width] = shape;
+        count = 1;
+    } else if (shape.length === 3) {
+        [count, height, width] = shape;
+    } else {
+        throw new Error(`.npy array has shape (${shape.join(', ')}); expected 2D (H, W) or 3D (N, H, W)`);
+    }
+
+    const total = count * height * width;
+    if (dataOffset + total * type.bytes > buffer.byteLength) {
+        throw new Error('.npy file is truncated');
+    }
+
+    const view = new DataView(buffer, dataOffset);
+    const read = i => Number(view[type.get](i * type.bytes, littleEndian));
+    const entries = [];
+
+    for (let n = 0; n < count; n++) {
+        const data = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                // Fortran order stores the first axis fastest
+                const src = fortranOrder
+                    ? n + count * (y + height * x)
+                    : (n * height + y) * width + x;
+                data[y * width + x] = read(src);
+            }
+        }
+        entries.push({
+            path: count > 1 ? `array/${n}` : 'Surface',
+            data,
+            width,
+            height,
+            dtype: descr,
+            meta: null,
+            attrs: {}
+        });
+    }
+
+    return buildResult('NPY', entries, { 'dtype': descr, 'shape': shape, 'fortran_order': fortranOrder });
+}
+
+export default {
+    id: 'npy',
+    name: 'NumPy NPY',
+    extensions: ['.npy'],
+    magic: bytes => startsWithAscii(bytes, '\x93NUMPY'),
+    load
+};
@@ -0,0 +1,129 @@
+// importers/sur.js
+// Digital Surf .sur: one or more objects, each a 512-byte little-endian header followed by Z data
+
+import { unitToMeters } from '../units.js';
+import { buildResult, startsWithAscii } from './common.js';
+
+const HEADER_SIZE = 512;
+
+function readString(bytes, offset, length) {
+    // Header strings are Latin-1 (µ is 0xB5) and padded with spaces or NULs
+    return new TextDecoder('latin1').decode(bytes.subarray(offset, offset + length)).replace(/\0.*$/, '').trim();
+}
+
+function readHeader(buffer, base) {
+    const view = new DataView(buffer, base, HEADER_SIZE);
+    const bytes = new Uint8Array(buffer, base, HEADER_SIZE);
+    return {
+        signature: readString(bytes, 0, 12),
+        format: view.getInt16(12, true),
+        objectCount: view.getInt16(14, true),
+        version: view.getInt16(16, true),
+        studiableType: view.getInt16(18, true),
+        objectName: readString(bytes, 20, 30),
+        operatorName: readString(bytes, 50, 30),
+        specialPoints: view.getInt16(86, true),
+        pointSize: view.getInt16(98, true),
+        zMin: view.getInt32(100, true),
+        zMax: view.getInt32(104, true),
+        width: view.getInt32(108, true),
+        height: view.getInt32(112, true),
+        pointCount: view.getUint32(116, true),
+        dx: view.getFloat32(120, true),
+        dy: view.getFloat32(124, true),
+        dz: view.getFloat32(128, true),
+        xAxis: readString(bytes, 132, 16),
+        yAxis: readString(bytes, 148, 16),
+        zAxis: readString(bytes, 164, 16),
+        dxUnit: readString(bytes, 180, 16),
+        dyUnit: readString(bytes, 196, 16),
+        dzUnit: readString(bytes, 212, 16),
+        commentSize: view.getInt16(334, true),
+        privateSize: view.getInt16(336, true),
+        zOffset: view.getFloat32(474, true)
+    };
+}
+
+async function load(buffer) {
+    const entries = [];
+    let rootAttrs = {};
+    let offset = 0;
+
+    while (offset + HEADER_SIZE <= buffer.byteLength) {
+        const header = readHeader(buffer, offset);
+        if (header.signature === 'DSCOMPRESSED') {
+            throw new Error('Compressed .sur files are not supported; re-export without compression');
+        }
+        if (header.signature !== 'DIGITAL SURF') {
+            if (entries.length === 0) throw new Error('Not a Digital Surf file');
+            break;
+        }
+        if (header.pointSize !== 16 && header.pointSize !== 32) {
+            throw new Error(`Unsupported .sur point size ${header.pointSize}`);
+        }
+
+        const { width, height } = header;
+        const dataOffset = offset + HEADER_SIZE + header.commentSize + header.privateSize;
+        const bytesPerPoint = header.pointSize / 8;
+        const dataBytes = width * height * bytesPerPoint;
+        if (dataOffset + dataBytes > buffer.byteLength) {
+            throw new Error(`.sur object ${entries.length + 1} is truncated`);
+        }
+
+        // Z = raw × dz + offset; with special points enabled, values below zMin are unmeasured
+        const view = new DataView(buffer, dataOffset, dataBytes);
+        const data = new Float32Array(width * height);
+        for (let i = 0; i < data.length; i++) {
+            const raw = header.pointSize === 16 ? view.getInt16(i * 2, true) : view.getInt32(i * 4, true);
+            data[i] = header.specialPoints && raw < header.zMin ? NaN : raw * header.dz + header.zOffset;
+        }
+
+        const lateralX = unitToMeters(header.dxUnit);
+        const lateralY = unitToMeters(header.dyUnit);
+        const name = header.objectName || `Object${entries.length + 1}`;
+
+        entries.push({
+            path: header.objectCount > 1 ? `Surface/${name}` : 'Surface',
+            data,
+            width,
+            height,
+            dtype: header.pointSize === 16 ? '<i2' : '<i4',
+            meta: {
+                pixelSizeX: lateralX != null ? header.dx * lateralX : null,
+                pixelSizeY: lateralY != null ? header.dy * lateralY : null,
+                zToMeters: unitToMeters(header.dzUnit),
+                zUnit: header.dzUnit
+            },
+            attrs: {
+                'Object Name': header.objectName,
+                'Studiable Type': header.studiableType,
+                'Z Axis': header.zAxis,
+                'dx': `${header.dx} ${header.dxUnit}`,
+                'dy': `${header.dy} ${header.dyUnit}`,
+                'dz': `${header.dz} ${header.dzUnit}`,
+                'Z Offset': header.zOffset
+            }
+        });
+
+        if (entries.length === 1) {
+            rootAttrs = {
+                'Format Version': header.version,
+                'Object Count': header.objectCount,
+                'Operator': header.operatorName
+            };
+        }
+
+        offset = dataOffset + dataBytes;
+        if (entries.length >= header.objectCount) break;
+    }
+
+    return buildResult('SUR', entries, rootAttrs);
+}
+
+export default {
+    id: 'sur',
+    name: 'Digital Surf SUR',
+    extensions: ['.sur'],
+    magic: bytes => startsWithAscii(bytes, 'DIGITAL SURF') || startsWithAscii(bytes, 'DSCOMPRESSED'),
+    load
+};
@@ -0,0 +1,181 @@
+// importers/tiff.js
+// Uncompressed single-channel TIFF (32/64-bit float or 8/16/32-bit integer), one dataset per page
+
+import { buildResult } from './common.js';
+
+const TAG = {
+    ImageWidth: 256,
+    ImageLength: 257,
+    BitsPerSample: 258,
+    Compression: 259,
+    StripOffsets: 273,
+    SamplesPerPixel: 277,
+    RowsPerStrip: 278,
+    StripByteCounts: 279,
+    XResolution: 282,
+    YResolution: 283,
+    ResolutionUnit: 296,
+    TileWidth: 322,
+    TileLength: 323,
+    TileOffsets: 324,
+    TileByteCounts: 325,
+    SampleFormat: 339,
+    ImageDescription: 270
+};
+
+// Field type -> [byte size, reader]
+const FIELD_TYPES = {
+    1: [1, (v, o) => v.getUint8(o)],
+    2: [1, (v, o) => v.getUint8(o)],
+    3: [2, (v, o, le) => v.getUint16(o, le)],
+    4: [4, (v, o, le) => v.getUint32(o, le)],
+    5: [8, (v, o, le) => v.getUint32(o, le) / v.getUint32(o + 4, le)],
+    6: [1, (v, o) => v.getInt8(o)],
+    8: [2, (v, o, le) => v.getInt16(o, le)],
+    9: [4, (v, o, le) => v.getInt32(o, le)],
+    10: [8, (v, o, le) => v.getInt32(o, le) / v.getInt32(o + 4, le)],
+    11: [4, (v, o, le) => v.getFloat32(o, le)],
+    12: [8, (v, o, le) => v.getFloat64(o, le)]
+};
+
+function readIfd(view, offset, le) {
+    const count = view.getUint16(offset, le);
+    const tags = {};
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const tag = view.getUint16(entry, le);
+        const type = view.getUint16(entry + 2, le);
+        const n = view.getUint32(entry + 4, le);
+        const fieldType = FIELD_TYPES[type];
+        if (!fieldType) continue;
+        const [size, read] = fieldType;
+        // Values that fit in 4 bytes are stored inline
+        const valueOffset = size * n <= 4 ? entry + 8 : view.getUint32(entry + 8, le);
+        if (type === 2) {
+            const bytes = new Uint8Array(view.buffer, view.byteOffset + valueOffset, n);
+            tags[tag] = new TextDecoder('latin1').decode(bytes).replace(/\0+$/, '');
+        } else {
+            const values = [];
+            for (let j = 0; j < n; j++) values.push(read(view, valueOffset + j * size, le));
+            tags[tag] = values;
+        }
+    }
+    return { tags, next: view.getUint32(offset + 2 + count * 12, le) };
+}
+
+function sampleReader(format, bits) {
+    // SampleFormat: 1 = unsigned, 2 = signed, 3 = IEEE float
+    const key = `${format}:${bits}`;
+    return {
+        '3:32': ['getFloat32', '<f4'],
+        '3:64': ['getFloat64', '<f8'],
+        '1:8': ['getUint8', '|u1'],
+        '1:16': ['getUint16', '<u2'],
+        '1:32': ['getUint32', '<u4'],
+        '2:8': ['getInt8', '|i1'],
+        '2:16': ['getInt16', '<i2'],
+        '2:32': ['getInt32', '<i4']
+    }[key];
+}
+
+async function load(buffer) {
+    const view = new DataView(buffer);
+    const order = view.getUint16(0, false);
+    if (order !== 0x4949 && order !== 0x4d4d) throw new Error('Not a TIFF file');
+    const le = order === 0x4949;
+    if (view.getUint16(2, le) !== 42) {
+        throw new Error('BigTIFF and non-standard TIFF variants are not supported');
+    }
+
+    const entries = [];
+    let ifdOffset = view.getUint32(4, le);
+    let page = 0;
+
+    while (ifdOffset !== 0 && ifdOffset < buffer.byteLength) {
+        const { tags, next } = readIfd(view, ifdOffset, le);
+        const width = tags[TAG.ImageWidth][0];
+        const height = tags[TAG.ImageLength][0];
+        const bits = (tags[TAG.BitsPerSample] || [1])[0];
+        const samples = (tags[TAG.SamplesPerPixel] || [1])[0];
+        const compression = (tags[TAG.Compression] || [1])[0];
+        const format = (tags[TAG.SampleFormat] || [1])[0];
+
+        if (compression !== 1) {
+            throw new Error(`TIFF page ${page} is compressed (scheme ${compression}); only uncompressed TIFF is supported`);
+        }
+        if (samples !== 1) {
+            throw new Error(`TIFF page ${page} has ${samples} samples per pixel; expected a single channel`);
+        }
+        const reader = sampleReader(format, bits);
+        if (!reader) {
+            throw new Error(`TIFF page ${page}: ${bits}-bit sample format ${format} is not supported`);
+        }
+        const [getter, dtype] = reader;
+        const bytesPerSample = bits / 8;
+        const data = new Float32Array(width * height);
+
+        if (tags[TAG.TileOffsets]) {
+            const tileW = tags[TAG.TileWidth][0];
+            const tileH = tags[TAG.TileLength][0];
+            const tilesAcross = Math.ceil(width / tileW);
+            tags[TAG.TileOffsets].forEach((offset, t) => {
+                const tx = (t % tilesAcross) * tileW;
+                const ty = Math.floor(t / tilesAcross) * tileH;
+                for (let y = 0; y < tileH && ty + y < height; y++) {
+                    for (let x = 0; x < tileW && tx + x < width; x++) {
+                        data[(ty + y) * width + tx + x] = view[getter](offset + (y * tileW + x) * bytesPerSample, le);
+                    }
+                }
+            });
+        } else {
+            const rowsPerStrip = (tags[TAG.RowsPerStrip] || [height])[0];
+            tags[TAG.StripOffsets].forEach((offset, s) => {
+                const firstRow = s * rowsPerStrip;
+                const rows = Math.min(rowsPerStrip, height - firstRow);
+                for (let i = 0; i < rows * width; i++) {
+                    data[firstRow * width + i] = view[getter](offset + i * bytesPerSample, le);
+                }
+            });
+        }
+
+        // Only trust ResolutionUnit 3 (pixels per centimetre); inch values are usually
+        // just a default DPI rather than a calibration
+        const unit = (tags[TAG.ResolutionUnit] || [2])[0];
+        const xRes = tags[TAG.XResolution] ? tags[TAG.XResolution][0] : null;
+        const yRes = tags[TAG.YResolution] ? tags[TAG.YResolution][0] : null;
+        const pixelSize = res => unit === 3 && res > 0 ? 0.01 / res : null;
+
+        entries.push({
+            path: `Page${page}`,
+            data,
+            width,
+            height,
+            dtype,
+            meta: {
+                pixelSizeX: pixelSize(xRes),
+                pixelSizeY: pixelSize(yRes),
+                zToMeters: null,
+                zUnit: null
+            },
+            attrs: tags[TAG.ImageDescription] ? { 'ImageDescription': tags[TAG.ImageDescription] } : {}
+        });
+
+        ifdOffset = next;
+        page++;
+    }
+
+    if (entries.length === 1) {
+        entries[0].path = 'Surface';
+    }
+
+    return buildResult('TIFF', entries, { 'Byte Order': le ? 'little-endian' : 'big-endian', 'Pages': entries.length });
+}
+
+export default {
+    id: 'tiff',
+    name: 'TIFF (float / integer)',
+    extensions: ['.tif', '.tiff'],
+    magic: bytes => (bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 42 && bytes[3] === 0) ||
+        (bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[2] === 0 && bytes[3] === 42),
+    load
+};
@@ -0,0 +1,148 @@
+// importers/x3p.js
+// ISO 25178-72 X3P: a ZIP with main.xml describing the grid and bindata/*.bin holding Z values
+
+import { readZipEntries, readZipEntry } from '../zip.js';
+import { buildResult, startsWithAscii } from './common.js';
+
+// DOMParser isn't available in workers, and main.xml is simple enough to walk with regexes
+function xmlElement(xml, path) {
+    let scope = xml;
+    for (const tag of path.split('/')) {
+        const open = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>`);
+        const match = open.exec(scope);
+        if (!match) return null;
+        const rest = scope.slice(match.index + match[0].length);
+        const close = new RegExp(`</(?:[\\w-]+:)?${tag}\\s*>`).exec(rest);
+        scope = close ? rest.slice(0, close.index) : rest;
+    }
+    return scope;
+}
+
+function xmlText(xml, path) {
+    const element = xmlElement(xml, path);
+    return element == null ? null : element.trim();
+}
+
+function xmlNumber(xml, path) {
+    const text = xmlText(xml, path);
+    if (text == null || text === '') return null;
+    const value = parseFloat(text);
+    return isFinite(value) ? value : null;
+}
+
+const DATA_TYPES = {
+    I: { bytes: 2, read: (view, offset) => view.getInt16(offset, true), dtype: '<i2' },
+    L: { bytes: 4, read: (view, offset) => view.getInt32(offset, true), dtype: '<i4' },
+    F: { bytes: 4, read: (view, offset) => view.getFloat32(offset, true), dtype: '<f4' },
+    D: { bytes: 8, read: (view, offset) => view.getFloat64(offset, true), dtype: '<f8' }
+};
+
+async function load(buffer) {
+    const entries = readZipEntries(buffer);
+    const mainEntry = entries.get('main.xml');
+    if (!mainEntry) {
+        throw new Error('X3P archive has no main.xml');
+    }
+    const xml = new TextDecoder().decode(await readZipEntry(buffer, mainEntry));
+
+    const featureType = xmlText(xml, 'Record1/FeatureType');
+    if (featureType && featureType !== 'SUR') {
+        throw new Error(`X3P feature type ${featureType} is not supported (only areal SUR data)`);
+    }
+
+    const width = xmlNumber(xml, 'Record3/MatrixDimension/SizeX');
+    const height = xmlNumber(xml, 'Record3/MatrixDimension/SizeY');
+    const layers = xmlNumber(xml, 'Record3/MatrixDimension/SizeZ') || 1;
+    if (!width || !height) {
+        throw new Error('X3P main.xml has no matrix dimensions');
+    }
+
+    const typeCode = xmlText(xml, 'Record1/Axes/CZ/DataType') || 'D';
+    const type = DATA_TYPES[typeCode];
+    if (!type) {
+        throw new Error(`Unknown X3P data type ${typeCode}`);
+    }
+    const zIncrement = xmlNumber(xml, 'Record1/Axes/CZ/Increment') ?? 1;
+    const zOffset = xmlNumber(xml, 'Record1/Axes/CZ/Offset') ?? 0;
+    const count = width * height;
+
+    const values = new Float32Array(count * layers);
+    const dataLink = xmlText(xml, 'Record3/DataLink/PointDataLink');
+    if (dataLink) {
+        const binEntry = entries.get(dataLink);
+        if (!binEntry) {
+            throw new Error(`X3P point data ${dataLink} is missing from the archive`);
+        }
+        const bytes = await readZipEntry(buffer, binEntry);
+        if (bytes.length < values.length * type.bytes) {
+            throw new Error(`X3P point data is ${bytes.length} bytes, expected ${values.length * type.bytes}`);
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = type.read(view, i * type.bytes) * zIncrement + zOffset;
+        }
+    } else {
+        // Inline <DataList><Datum>z</Datum>...; empty datums are missing points
+        const list = xmlElement(xml, 'Record3/DataList') || '';
+        const datums = list.match(/<(?:[\w-]+:)?Datum\s*\/>|<(?:[\w-]+:)?Datum[^>]*>[^<]*<\/(?:[\w-]+:)?Datum>/g) || [];
+        for (let i = 0; i < values.length; i++) {
+            const text = datums[i] ? datums[i].replace(/<[^>]+>/g, '').trim() : '';
+            values[i] = text === '' ? NaN : parseFloat(text) * zIncrement + zOffset;
+        }
+    }
+
+    // Optional validity bitmap: one bit per point, LSB first, 1 = valid
+    const validLink = xmlText(xml, 'Record3/ValidPointsLink');
+    if (validLink && entries.has(validLink)) {
+        const valid = await readZipEntry(buffer, entries.get(validLink));
+        for (let i = 0; i < values.length; i++) {
+            if (!((valid[i >> 3] >> (i & 7)) & 1)) values[i] = NaN;
+        }
+    }
+
+    const meta = {
+        pixelSizeX: xmlNumber(xml, 'Record1/Axes/CX/Increment'),
+        pixelSizeY: xmlNumber(xml, 'Record1/Axes/CY/Increment'),
+        zToMeters: 1, // X3P stores SI units
+        zUnit: 'm'
+    };
+
+    const rootAttrs = {
+        'Feature Type': featureType,
+        'Revision': xmlText(xml, 'Record1/Revision'),
+        'Date': xmlText(xml, 'Record2/Date'),
+        'Instrument Manufacturer': xmlText(xml, 'Record2/Instrument/Manufacturer'),
+        'Instrument Model': xmlText(xml, 'Record2/Instrument/Model'),
+        'Instrument Serial': xmlText(xml, 'Record2/Instrument/Serial'),
+        'Instrument Version': xmlText(xml, 'Record2/Instrument/Version'),
+        'Probing System': xmlText(xml, 'Record2/ProbingSystem/Type'),
+        'Comment': xmlText(xml, 'Record2/Comment')
+    };
+    for (const key of Object.keys(rootAttrs)) {
+        if (rootAttrs[key] == null || rootAttrs[key] === '') delete rootAttrs[key];
+    }
+
+    const results = [];
+    for (let layer = 0; layer < layers; layer++) {
+        results.push({
+            path: layers > 1 ? `Surface/Layer${layer}` : 'Surface',
+            data: values.subarray(layer * count, (layer + 1) * count),
+            width,
+            height,
+            dtype: type.dtype,
+            meta,
+            attrs: { 'Z Increment': zIncrement, 'Z Offset': zOffset }
+        });
+    }
+
+    return buildResult('X3P', results, rootAttrs);
+}
+
+export default {
+    id: 'x3p',
+    name: 'ISO 25178-72 X3P',
+    extensions: ['.x3p'],
+    // A ZIP whose first entry is usually main.xml
+    magic: bytes => startsWithAscii(bytes, 'PK\x03\x04') && startsWithAscii(bytes, 'main.xml', 30),
+    load
+};
@@ -0,0 +1,106 @@
+// importers/xyz.js
+// Zygo ASCII .xyz (14-line header, "#", then "x y z" rows in pixels/µm) and plain x y z text grids
+
+import { buildResult } from './common.js';
+
+// Zygo header line 8: Source IntfScaleFactor WavelengthIn NumericAperture ObliquityFactor Magnification CameraRes TimeStamp
+function parseZygoHeader(lines) {
+    const attrs = { 'Format': lines[0].replace(/^"|"$/g, '') };
+    const line8 = (lines[7] || '').trim().split(/\s+/).map(Number);
+    if (line8.length >= 7) {
+        attrs['Wavelength'] = line8[2];
+        attrs['Numeric Aperture'] = line8[3];
+        attrs['Obliquity Factor'] = line8[4];
+        attrs['Magnification'] = line8[5];
+        attrs['Camera Resolution'] = line8[6];
+    }
+    const line9 = lines[8] || '';
+    const quoted = line9.match(/"([^"]*)"/g);
+    if (quoted && quoted.length > 0) {
+        attrs['Objective'] = quoted[quoted.length - 1].replace(/"/g, '');
+    }
+    for (const [index, name] of [[4, 'Comment'], [5, 'Part Serial Number'], [6, 'Part Number']]) {
+        const text = (lines[index] || '').replace(/"/g, '').trim();
+        if (text) attrs[name] = text;
+    }
+    return attrs;
+}
+
+// Map sorted unique coordinates to grid indices; returns { index, spacing }
+function gridAxis(values) {
+    const unique = Array.from(new Set(values)).sort((a, b) => a - b);
+    const index = new Map(unique.map((v, i) => [v, i]));
+    const steps = [];
+    for (let i = 1; i < unique.length; i++) steps.push(unique[i] - unique[i - 1]);
+    steps.sort((a, b) => a - b);
+    const spacing = steps.length ? steps[Math.floor(steps.length / 2)] : null;
+    return { index, size: unique.length, spacing };
+}
+
+async function load(buffer) {
+    const text = new TextDecoder('latin1').decode(buffer);
+    const lines = text.split(/\r?\n/);
+
+    let rootAttrs = {};
+    let start = 0;
+    let zygo = false;
+    if (/zygo/i.test(lines[0])) {
+        zygo = true;
+        rootAttrs = parseZygoHeader(lines);
+        start = lines.findIndex(line => line.trim() === '#') + 1;
+        if (start === 0) throw new Error('Zygo XYZ header is not terminated by "#"');
+    }
+
+    const xs = [];
+    const ys = [];
+    const zs = [];
+    for (let i = start; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (line === '#') break;
+        if (!line || /^[a-z"]/i.test(line)) continue;
+        const parts = line.split(/[\s,;]+/);
+        if (parts.length < 3) continue;
+        xs.push(parseFloat(parts[0]));
+        ys.push(parseFloat(parts[1]));
+        // Zygo writes "No Data" for missing points
+        zs.push(/^no$/i.test(parts[2]) ? NaN : parseFloat(parts[2]));
+    }
+    if (zs.length === 0) {
+        throw new Error('No x y z rows found');
+    }
+
+    const xAxis = gridAxis(xs);
+    const yAxis = gridAxis(ys);
+    const width = xAxis.size;
+    const height = yAxis.size;
+    if (width * height > 64 * 1024 * 1024) {
+        throw new Error(`XYZ grid ${width}x${height} is too large; coordinates may not lie on a regular grid`);
+    }
+
+    // Points absent from the file stay NaN
+    const data = new Float32Array(width * height).fill(NaN);
+    for (let i = 0; i < zs.length; i++) {
+        data[yAxis.index.get(ys[i]) * width + xAxis.index.get(xs[i])] = zs[i];
+    }
+
+    let meta;
+    if (zygo) {
+        // Zygo x/y are pixel indices and z is in microns
+        const cameraRes = rootAttrs['Camera Resolution'];
+        const pixelSize = cameraRes > 0 ? cameraRes : null;
+        meta = { pixelSizeX: pixelSize, pixelSizeY: pixelSize, zToMeters: 1e-6, zUnit: 'MicroMeters' };
+    } else {
+        // Plain x y z: units are not declared
+        meta = { pixelSizeX: null, pixelSizeY: null, zToMeters: null, zUnit: null };
+        rootAttrs = { 'X Spacing': xAxis.spacing, 'Y Spacing': yAxis.spacing };
+    }
+
+    return buildResult('XYZ', [{ path: 'Surface', data, width, height, dtype: 'text', meta, attrs: { 'Points': zs.length } }], rootAttrs);
+}
+
+export default {
+    id: 'xyz',
+    name: 'Zygo ASCII XYZ',
+    extensions: ['.xyz'],
+    load
+};
@@ -0,0 +1,95 @@
+// inference-run.js
+// Cancel, pause/resume and timing for one inference run (a single file or a Run All batch)
+
+import { CancelledError } from './worker-pool.js';
+
+export class InferenceRun {
+    constructor({ batch = false } = {}) {
+        this.batch = batch;
+        this.controller = new AbortController();
+        this.signal = this.controller.signal;
+        this.paused = false;
+        this.resumeWaiters = [];
+        this.tileTimes = [];
+        this.gpuRecoveries = 0; // Batches retried after a lost device or GPU error
+        this.startedAt = performance.now();
+        this.pausedAt = null;
+        this.pausedMs = 0;
+    }
+
+    get cancelled() {
+        return this.signal.aborted;
+    }
+
+    cancel() {
+        this.controller.abort();
+        this.resume();
+    }
+
+    pause() {
+        if (this.paused || this.cancelled) return;
+        this.paused = true;
+        this.pausedAt = performance.now();
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.pausedMs += performance.now() - this.pausedAt;
+        this.pausedAt = null;
+        for (const resolve of this.resumeWaiters) resolve();
+        this.resumeWaiters = [];
+    }
+
+    // Called between tiles: waits while paused, throws CancelledError once cancelled
+    async checkpoint() {
+        while (this.paused && !this.cancelled) {
+            await new Promise(resolve => this.resumeWaiters.push(resolve));
+        }
+        if (this.cancelled) throw new CancelledError('Inference cancelled');
+    }
+
+    recordTile(ms) {
+        this.tileTimes.push(ms);
+    }
+
+    get lastTileMs() {
+        return this.tileTimes.length > 0 ? this.tileTimes[this.tileTimes.length - 1] : NaN;
+    }
+
+    // Wall-clock time spent running, pauses excluded
+    get activeMs() {
+        const pausing = this.pausedAt != null ? performance.now() - this.pausedAt : 0;
+        return performance.now() - this.startedAt - this.pausedMs - pausing;
+    }
+
+    // Remaining time extrapolated from the active time so far; NaN until there is something to go on
+    eta(fraction) {
+        if (!(fraction > 0)) return NaN;
+        return this.activeMs * (1 - fraction) / fraction;
+    }
+
+    /**
+     * { tiles, meanMs, minMs, maxMs } of the tiles recorded since index from (one file of a batch).
+     * Tiles on a worker pool overlap, so these are per-tile latencies, not shares of the elapsed time.
+     */
+    timing(from = 0) {
+        const times = this.tileTimes.slice(from);
+        const totalMs = times.reduce((sum, ms) => sum + ms, 0);
+        return {
+            tiles: times.length,
+            meanMs: times.length > 0 ? totalMs / times.length : NaN,
+            minMs: times.length > 0 ? Math.min(...times) : NaN,
+            maxMs: times.length > 0 ? Math.max(...times) : NaN
+        };
+    }
+}
+
+// e.g. "850 ms", "12 s", "3 min 05 s"
+export function formatDuration(ms) {
+    if (!isFinite(ms)) return '–';
+    if (ms < 1000) return `${Math.round(ms)} ms`;
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds} s`;
+    return `${Math.floor(seconds / 60)} min ${String(seconds % 60).padStart(2, '0')} s`;
+}
@@ -0,0 +1,46 @@
+// inference-worker.js
+// Module worker: runs detector tiles on its own instance of a wasm-bindgen model.
+//
+// In:  { id, moduleUrl, className, module, backend, manifest, tiles, count }
+//      (module is the compiled WebAssembly.Module, shared by every worker; tiles as TileModel.inferBatch takes them)
+// Out: { id, type: 'result', data, shape }   (data buffer transferred)
+//      { id, type: 'error', name, message, restart }
+//      (a GPUFailure, a lost device or GPU error, asks the pool for a fresh worker: this one's device is gone)
+
+import { TileModel } from './model-wrapper.js';
+import { modelArguments } from './model-manifest.js';
+import { gpuMonitor } from './gpu-monitor.js';
+
+gpuMonitor.install();
+
+const models = new Map(); // `${moduleUrl}#${className}@${backend}` -> TileModel
+
+// The bindings are instantiated from the page's compiled module, so nothing is fetched or compiled again
+async function getModel(moduleUrl, className, module, backend, manifest) {
+    const key = `${moduleUrl}#${className}@${backend}`;
+    let model = models.get(key);
+    if (!model) {
+        const bindings = await import(moduleUrl);
+        bindings.initSync({ module });
+        const ModelClass = bindings[className];
+        if (typeof ModelClass !== 'function') {
+            throw new Error(`${moduleUrl} does not export a ${className} class`);
+        }
+        model = new TileModel(new ModelClass(...modelArguments(manifest, backend, ModelClass)), manifest);
+        models.set(key, model);
+    }
+    return model;
+}
+
+self.onmessage = async e => {
+    const { id, moduleUrl, className, module, backend, manifest, tiles, count } = e.data;
+    try {
+        const model = await getModel(moduleUrl, className, module, backend, manifest);
+        const batch = () => model.inferBatch(tiles, count);
+        const { data, shape } = await (backend === 'webgpu' ? gpuMonitor.guard(batch, model) : batch());
+        self.postMessage({ id, type: 'result', data, shape }, [data.buffer]);
+    } catch (error) {
+        const restart = error.name === 'GPUFailure';
+        self.postMessage({ id, type: 'error', name: error.name, message: error.message || String(error), restart });
+    }
+};
@@ -0,0 +1,159 @@
+// inpainting.js
+// Validity masks for dropout pixels and fill methods that replace them before inference
+
+export const INPAINT_METHODS = {
+    nearest: 'Nearest',
+    diffusion: 'Diffusion',
+    median: 'Median'
+};
+
+// 1 where every given array is finite, 0 for NaN/Inf dropouts
+export function buildValidityMask(...arrays) {
+    const length = arrays[0].length;
+    const mask = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        let valid = 1;
+        for (const array of arrays) {
+            if (!isFinite(array[i])) {
+                valid = 0;
+                break;
+            }
+        }
+        mask[i] = valid;
+    }
+    return mask;
+}
+
+export function countInvalid(mask) {
+    let count = 0;
+    for (let i = 0; i < mask.length; i++) {
+        if (!mask[i]) count++;
+    }
+    return count;
+}
+
+// Breadth-first fill from the valid pixels: each hole takes the value of the closest (4-connected) valid pixel
+function fillNearest(data, mask, width, height) {
+    const out = Float32Array.from(data);
+    const filled = Uint8Array.from(mask);
+    const queue = new Int32Array(data.length);
+    let head = 0;
+    let tail = 0;
+    for (let i = 0; i < mask.length; i++) {
+        if (mask[i]) queue[tail++] = i;
+    }
+    while (head < tail) {
+        const i = queue[head++];
+        const x = i % width;
+        const y = (i - x) / width;
+        const neighbours = [
+            x > 0 ? i - 1 : -1,
+            x < width - 1 ? i + 1 : -1,
+            y > 0 ? i - width : -1,
+            y < height - 1 ? i + width : -1
+        ];
+        for (const n of neighbours) {
+            if (n >= 0 && !filled[n]) {
+                filled[n] = 1;
+                out[n] = out[i];
+                queue[tail++] = n;
+            }
+        }
+    }
+    return out;
+}
+
+// Harmonic fill: start from nearest, then relax holes towards the average of their neighbours
+function fillDiffusion(data, mask, width, height, { iterations = 200, tolerance = 1e-3 } = {}) {
+    const out = fillNearest(data, mask, width, height);
+    const holes = [];
+    for (let i = 0; i < mask.length; i++) {
+        if (!mask[i]) holes.push(i);
+    }
+
+    for (let iter = 0; iter < iterations; iter++) {
+        let maxChange = 0;
+        for (const i of holes) {
+            const x = i % width;
+            const y = (i - x) / width;
+            let sum = 0;
+            let count = 0;
+            if (x > 0) { sum += out[i - 1]; count++; }
+            if (x < width - 1) { sum += out[i + 1]; count++; }
+            if (y > 0) { sum += out[i - width]; count++; }
+            if (y < height - 1) { sum += out[i + width]; count++; }
+            const value = sum / count;
+            maxChange = Math.max(maxChange, Math.abs(value - out[i]));
+            out[i] = value;
+        }
+        if (maxChange < tolerance) break;
+    }
+    return out;
+}
+
+// Onion peeling: each pass fills holes bordering known pixels with the median of their known 3×3 neighbours
+function fillMedian(data, mask, width, height) {
+    const out = Float32Array.from(data);
+    const known = Uint8Array.from(mask);
+    let holes = [];
+    for (let i = 0; i < mask.length; i++) {
+        if (!mask[i]) holes.push(i);
+    }
+
+    const values = [];
+    while (holes.length > 0) {
+        const updates = [];
+        const remaining = [];
+        for (const i of holes) {
+            const x = i % width;
+            const y = (i - x) / width;
+            values.length = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                    const n = ny * width + nx;
+                    if (known[n]) values.push(out[n]);
+                }
+            }
+            if (values.length > 0) {
+                values.sort((a, b) => a - b);
+                const mid = values.length >> 1;
+                updates.push(i, values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2);
+            } else {
+                remaining.push(i);
+            }
+        }
+        // Apply after the pass so the result doesn't depend on scan order
+        for (let u = 0; u < updates.length; u += 2) {
+            out[updates[u]] = updates[u + 1];
+            known[updates[u]] = 1;
+        }
+        holes = remaining;
+    }
+    return out;
+}
+
+/**
+ * Copy of data with invalid pixels (mask 0) filled by method: 'nearest', 'diffusion' or 'median'.
+ * Throws if there are no valid pixels to fill from.
+ */
+export function inpaint(data, mask, width, height, method = 'nearest', options = {}) {
+    const invalid = countInvalid(mask);
+    if (invalid === 0) return data;
+    if (invalid === mask.length) {
+        throw new Error('Every pixel is invalid; nothing to inpaint from');
+    }
+
+    switch (method) {
+        case 'nearest':
+            return fillNearest(data, mask, width, height);
+        case 'diffusion':
+            return fillDiffusion(data, mask, width, height, options);
+        case 'median':
+            return fillMedian(data, mask, width, height);
+        default:
+            throw new Error(`Unknown inpainting method: ${method}`);
+    }
+}
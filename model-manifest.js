@@ -0,0 +1,179 @@
+// model-manifest.js
+// Model manifest: the JSON next to the wasm that declares tile size, input channels,
+// normalization and what the model outputs. Preprocessing is read from here, not hard-coded.
+//
+// {
+//   name, version, description?,
+//   input: { tileSize, channels: ['intensity' | 'surface', ...],
+//            normalization: N | [N per channel],
+//            maxBatch? },   (tiles inference() takes in one call, concatenated; default 1)
+//   output: { semantics: 'reconstruction' | 'anomaly', channel? },
+//   weights?: { sha256 },   (hex; runtime-loaded weights must match it)
+//   backends?: ['webgpu' | 'cpu', ...]   (what the wasm was built for; default ['webgpu'])
+// }
+// A model listing one backend is constructed without arguments and trusted to run there. One
+// listing several gets the chosen one as its constructor argument, so its bindings' constructor
+// must take one (checkBackends); otherwise the choice would be reported but never applied.
+// N is { type: 'meanStd', mean, std } | { type: 'minMax', min, max } | { type: 'none' }
+
+export const MANIFEST_URL = new URL('../pkg/browser_models.manifest.json', import.meta.url);
+
+export const INPUT_CHANNELS = ['intensity', 'surface'];
+export const MODEL_BACKENDS = ['webgpu', 'cpu'];
+export const OUTPUT_SEMANTICS = {
+    reconstruction: 'Reconstruction of the input channel; defects are large differences',
+    anomaly: 'Per-pixel anomaly score; used directly as the difference map'
+};
+
+// Matches the model shipped before manifests existed
+export const DEFAULT_MANIFEST = validateManifest({
+    name: 'Mnist surface autoencoder',
+    version: '0.1.0',
+    input: {
+        tileSize: 256,
+        channels: ['intensity'],
+        normalization: { type: 'meanStd', mean: 50481.640625, std: 16498.2578125 }
+    },
+    output: { semantics: 'reconstruction', channel: 'intensity' }
+});
+
+function finite(value, field) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+        throw new Error(`Model manifest: ${field} must be a finite number (got ${JSON.stringify(value)})`);
+    }
+    return value;
+}
+
+function validateNormalization(norm, field) {
+    if (!norm || typeof norm !== 'object') {
+        throw new Error(`Model manifest: ${field} must be an object with a type`);
+    }
+    switch (norm.type) {
+        case 'meanStd': {
+            const std = finite(norm.std, `${field}.std`);
+            if (std === 0) throw new Error(`Model manifest: ${field}.std must not be 0`);
+            return { type: 'meanStd', mean: finite(norm.mean, `${field}.mean`), std };
+        }
+        case 'minMax': {
+            const min = finite(norm.min, `${field}.min`);
+            const max = finite(norm.max, `${field}.max`);
+            if (max === min) throw new Error(`Model manifest: ${field}.max must differ from min`);
+            return { type: 'minMax', min, max };
+        }
+        case 'none':
+            return { type: 'none' };
+        default:
+            throw new Error(`Model manifest: ${field}.type must be meanStd, minMax or none (got ${JSON.stringify(norm.type)})`);
+    }
+}
+
+// Returns a normalized copy (normalization always an array, one per channel) or throws
+export function validateManifest(json) {
+    if (!json || typeof json !== 'object') {
+        throw new Error('Model manifest must be a JSON object');
+    }
+    const input = json.input || {};
+    const output = json.output || {};
+
+    const tileSize = finite(input.tileSize, 'input.tileSize');
+    if (!Number.isInteger(tileSize) || tileSize < 8) {
+        throw new Error(`Model manifest: input.tileSize must be an integer ≥ 8 (got ${tileSize})`);
+    }
+
+    const channels = input.channels;
+    if (!Array.isArray(channels) || channels.length === 0) {
+        throw new Error('Model manifest: input.channels must be a non-empty array');
+    }
+    for (const channel of channels) {
+        if (!INPUT_CHANNELS.includes(channel)) {
+            throw new Error(`Model manifest: unknown input channel ${JSON.stringify(channel)} (expected ${INPUT_CHANNELS.join(' or ')})`);
+        }
+    }
+
+    const rawNorm = input.normalization ?? { type: 'none' };
+    const normList = Array.isArray(rawNorm) ? rawNorm : channels.map(() => rawNorm);
+    if (normList.length !== channels.length) {
+        throw new Error(`Model manifest: ${normList.length} normalization entries for ${channels.length} channels`);
+    }
+    const normalization = normList.map((norm, i) => validateNormalization(norm, `input.normalization[${i}]`));
+
+    const semantics = output.semantics || 'reconstruction';
+    if (!OUTPUT_SEMANTICS[semantics]) {
+        throw new Error(`Model manifest: output.semantics must be ${Object.keys(OUTPUT_SEMANTICS).join(' or ')} (got ${JSON.stringify(semantics)})`);
+    }
+    const outputChannel = output.channel || channels[0];
+    if (semantics === 'reconstruction' && !channels.includes(outputChannel)) {
+        throw new Error(`Model manifest: output.channel ${JSON.stringify(outputChannel)} is not one of the input channels`);
+    }
+
+    const maxBatch = input.maxBatch ?? 1;
+    if (!Number.isInteger(maxBatch) || maxBatch < 1) {
+        throw new Error(`Model manifest: input.maxBatch must be an integer ≥ 1 (got ${JSON.stringify(input.maxBatch)})`);
+    }
+
+    const sha256 = json.weights?.sha256;
+    if (sha256 != null && !(typeof sha256 === 'string' && /^[0-9a-f]{64}$/i.test(sha256))) {
+        throw new Error(`Model manifest: weights.sha256 must be 64 hex digits (got ${JSON.stringify(sha256)})`);
+    }
+
+    const backends = json.backends ?? ['webgpu'];
+    if (!Array.isArray(backends) || backends.length === 0 || !backends.every(b => MODEL_BACKENDS.includes(b))) {
+        throw new Error(`Model manifest: backends must be a non-empty array of ${MODEL_BACKENDS.join(', ')} (got ${JSON.stringify(json.backends)})`);
+    }
+
+    const manifest = {
+        name: typeof json.name === 'string' && json.name ? json.name : 'Unnamed model',
+        version: json.version != null ? String(json.version) : 'unknown',
+        description: typeof json.description === 'string' ? json.description : '',
+        input: { tileSize, channels: channels.slice(), normalization, maxBatch },
+        output: { semantics, channel: outputChannel },
+        backends: [...new Set(backends)]
+    };
+    if (sha256) manifest.weights = { sha256: sha256.toLowerCase() };
+    return manifest;
+}
+
+// Throws unless ModelClass can honour the manifest's backends
+export function checkBackends(manifest, ModelClass) {
+    if (manifest.backends.length > 1 && ModelClass.length < 1) {
+        throw new Error(`${manifest.name}: the manifest lists backends ${manifest.backends.join(', ')}, but the ${ModelClass.name || 'model'} constructor takes no backend argument`);
+    }
+}
+
+// Constructor arguments for ModelClass running on backend
+export function modelArguments(manifest, backend, ModelClass) {
+    checkBackends(manifest, ModelClass);
+    return manifest.backends.length > 1 ? [backend] : [];
+}
+
+export async function loadManifest(url = MANIFEST_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load model manifest ${url}: ${response.status} ${response.statusText}`);
+    }
+    return validateManifest(await response.json());
+}
+
+export function normalizeValue(value, norm) {
+    switch (norm.type) {
+        case 'meanStd': return (value - norm.mean) / norm.std;
+        case 'minMax': return (value - norm.min) / (norm.max - norm.min);
+        default: return value;
+    }
+}
+
+export function denormalizeValue(value, norm) {
+    switch (norm.type) {
+        case 'meanStd': return value * norm.std + norm.mean;
+        case 'minMax': return value * (norm.max - norm.min) + norm.min;
+        default: return value;
+    }
+}
+
+export function describeNormalization(norm) {
+    switch (norm.type) {
+        case 'meanStd': return `(x − ${norm.mean}) / ${norm.std}`;
+        case 'minMax': return `(x − ${norm.min}) / (${norm.max} − ${norm.min})`;
+        default: return 'none';
+    }
+}
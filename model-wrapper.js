@@ -0,0 +1,66 @@
+// model-wrapper.js
+// Typed, shape-checked batch calls on a wasm-bindgen tile model
+
+/**
+ * Inputs are count × channels × tileSize × tileSize, channel planes in manifest order (as
+ * ImageProcessor.processCrop writes them); outputs are count × tileSize × tileSize. Both are
+ * contiguous Float32Arrays, so tiles are views into one buffer rather than separate arrays.
+ * The model's inference() gets up to manifest.input.maxBatch tiles per call as one slice of
+ * that buffer. The built-in model takes a single tile (maxBatch 1), so it is called per tile.
+ */
+export class TileModel {
+    constructor(model, manifest) {
+        const { tileSize, channels } = manifest.input;
+        this.model = model;
+        this.name = manifest.name;
+        this.tileSize = tileSize;
+        this.channels = channels.length;
+        this.inputLength = this.channels * tileSize * tileSize;
+        this.outputLength = tileSize * tileSize;
+        this.maxBatch = manifest.input.maxBatch ?? 1;
+    }
+
+    // Values per input tile, spelled out for error messages
+    describeTile() {
+        return `${this.channels} channel(s) × ${this.tileSize}×${this.tileSize} = ${this.inputLength} values`;
+    }
+
+    /**
+     * Run count tiles from input. Resolves with { data, shape: [count, tileSize, tileSize] }.
+     * Throws if input isn't a Float32Array of exactly count whole tiles, or the model returns
+     * the wrong number of values for a tile.
+     */
+    async inferBatch(input, count = input?.length / this.inputLength) {
+        if (!(input instanceof Float32Array)) {
+            throw new Error(`${this.name}: input must be a Float32Array (got ${input?.constructor?.name ?? input})`);
+        }
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`${this.name}: input has ${input.length} values, which is not a whole number of tiles (${this.describeTile()} each)`);
+        }
+        if (input.length !== count * this.inputLength) {
+            throw new Error(`${this.name}: expected ${count} tile(s) of ${this.describeTile()}, i.e. ${count * this.inputLength} values, but input has ${input.length}`);
+        }
+
+        const data = new Float32Array(count * this.outputLength);
+        for (let first = 0; first < count; first += this.maxBatch) {
+            const tiles = Math.min(this.maxBatch, count - first);
+            const output = await this.model.inference(input.subarray(first * this.inputLength, (first + tiles) * this.inputLength));
+            if (!output || output.length !== tiles * this.outputLength) {
+                const which = tiles === 1 ? `tile ${first + 1}/${count}` : `tiles ${first + 1}–${first + tiles}/${count}`;
+                throw new Error(`${this.name}: ${which} returned ${output?.length ?? 0} values, expected ${tiles} × ${this.tileSize}×${this.tileSize} = ${tiles * this.outputLength}`);
+            }
+            data.set(output, first * this.outputLength);
+        }
+        return { data, shape: [count, this.tileSize, this.tileSize] };
+    }
+
+    // One tile in, one Float32Array of tileSize × tileSize out
+    async infer(tile) {
+        const { data } = await this.inferBatch(tile, 1);
+        return data;
+    }
+
+    free() {
+        this.model.free();
+    }
+}
@@ -0,0 +1,169 @@
+// morphology.js
+// Binary morphology that cleans up the thresholded defect mask before display, defect listing and export
+
+import { labelComponents } from './defects.js';
+
+const SETTINGS_KEY = 'maskSettings';
+
+function diskOffsets(radius) {
+    const offsets = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            if (dx * dx + dy * dy <= radius * radius + radius) offsets.push([dx, dy]);
+        }
+    }
+    return offsets;
+}
+
+function squareOffsets(radius) {
+    const offsets = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) offsets.push([dx, dy]);
+    }
+    return offsets;
+}
+
+export const STRUCTURING_ELEMENTS = {
+    cross3: { name: 'Cross 3×3', offsets: [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1]] },
+    square3: { name: 'Square 3×3', offsets: squareOffsets(1) },
+    disk5: { name: 'Disk 5×5', offsets: diskOffsets(2) },
+    disk7: { name: 'Disk 7×7', offsets: diskOffsets(3) }
+};
+
+export const DEFAULT_MASK_SETTINGS = {
+    element: 'square3',
+    open: false,
+    close: false,
+    minArea: 0,
+    fillHoles: false,
+    dilate: 0
+};
+
+export function loadMaskSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        if (saved && typeof saved === 'object') {
+            const settings = { ...DEFAULT_MASK_SETTINGS, ...saved };
+            if (!STRUCTURING_ELEMENTS[settings.element]) settings.element = DEFAULT_MASK_SETTINGS.element;
+            return settings;
+        }
+    } catch (e) {
+        console.warn('Could not read mask settings:', e.message);
+    }
+    return { ...DEFAULT_MASK_SETTINGS };
+}
+
+export function saveMaskSettings(settings) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// True when postProcessMask would return the mask unchanged
+export function isIdentity(settings) {
+    return !settings.open && !settings.close && !(settings.minArea > 1) && !settings.fillHoles && !(settings.dilate > 0);
+}
+
+// Pixels outside the image are ignored, so objects touching the border don't erode away
+export function erode(mask, width, height, offsets) {
+    const out = new Uint8Array(mask.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (!mask[i]) continue;
+            let keep = 1;
+            for (const [dx, dy] of offsets) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx >= 0 && ny >= 0 && nx < width && ny < height && !mask[ny * width + nx]) {
+                    keep = 0;
+                    break;
+                }
+            }
+            out[i] = keep;
+        }
+    }
+    return out;
+}
+
+export function dilate(mask, width, height, offsets) {
+    const out = new Uint8Array(mask.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!mask[y * width + x]) continue;
+            for (const [dx, dy] of offsets) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx >= 0 && ny >= 0 && nx < width && ny < height) out[ny * width + nx] = 1;
+            }
+        }
+    }
+    return out;
+}
+
+// Drop 8-connected blobs smaller than minArea pixels
+export function removeSmallBlobs(mask, width, height, minArea) {
+    const { labels, count } = labelComponents(mask, width, height);
+    const areas = new Int32Array(count + 1);
+    for (let i = 0; i < labels.length; i++) areas[labels[i]]++;
+    const out = new Uint8Array(mask.length);
+    for (let i = 0; i < labels.length; i++) {
+        if (labels[i] && areas[labels[i]] >= minArea) out[i] = 1;
+    }
+    return out;
+}
+
+// Fill background regions that don't reach the image border (4-connected, the dual of 8-connected blobs)
+export function fillHoles(mask, width, height) {
+    const background = new Uint8Array(mask.length);
+    for (let i = 0; i < mask.length; i++) background[i] = mask[i] ? 0 : 1;
+    const { labels, count } = labelComponents(background, width, height, 4);
+    const outside = new Uint8Array(count + 1);
+    for (let x = 0; x < width; x++) {
+        outside[labels[x]] = 1;
+        outside[labels[(height - 1) * width + x]] = 1;
+    }
+    for (let y = 0; y < height; y++) {
+        outside[labels[y * width]] = 1;
+        outside[labels[y * width + width - 1]] = 1;
+    }
+    const out = Uint8Array.from(mask);
+    for (let i = 0; i < labels.length; i++) {
+        if (labels[i] && !outside[labels[i]]) out[i] = 1;
+    }
+    return out;
+}
+
+/**
+ * Opening, closing, minimum blob area, hole filling and dilation, in that order.
+ * Pixels with validity 0 are never set, whatever the dilation reaches.
+ */
+export function postProcessMask(mask, width, height, settings, validity = null) {
+    if (isIdentity(settings)) return mask;
+    const { offsets } = STRUCTURING_ELEMENTS[settings.element];
+    let out = mask;
+    if (settings.open) out = dilate(erode(out, width, height, offsets), width, height, offsets);
+    if (settings.close) out = erode(dilate(out, width, height, offsets), width, height, offsets);
+    if (settings.minArea > 1) out = removeSmallBlobs(out, width, height, settings.minArea);
+    if (settings.fillHoles) out = fillHoles(out, width, height);
+    if (settings.dilate > 0) out = dilate(out, width, height, diskOffsets(settings.dilate));
+    if (validity) {
+        if (out === mask) out = Uint8Array.from(mask);
+        for (let i = 0; i < out.length; i++) {
+            if (!validity[i]) out[i] = 0;
+        }
+    }
+    return out;
+}
+
+// e.g. "Open (Disk 5×5), min area 10 px, dilate 2 px", or "None"
+export function describeMaskSettings(settings) {
+    const element = STRUCTURING_ELEMENTS[settings.element].name;
+    const steps = [];
+    if (settings.open) steps.push(`open (${element})`);
+    if (settings.close) steps.push(`close (${element})`);
+    if (settings.minArea > 1) steps.push(`min area ${settings.minArea} px`);
+    if (settings.fillHoles) steps.push('fill holes');
+    if (settings.dilate > 0) steps.push(`dilate ${settings.dilate} px`);
+    if (steps.length === 0) return 'None';
+    const text = steps.join(', ');
+    return text[0].toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,58 @@
+// parse-worker.js
+// Module worker: imports a scan file, computes dataset statistics and the gallery thumbnail,
+// or re-reads single datasets of a file that was imported before.
+//
+// In:  { id, buffer, fileName, rules, thumbnailSize }   (buffer is transferred)
+//      { id, source, fileName, paths }   (source is the File or Blob; only paths are read)
+// Out: { id, type: 'progress', stage, fraction }
+//      { id, type: 'result', result, datasetInfo, channelMapping, thumbnail }   (data buffers transferred)
+//      { id, type: 'result', datasets }   (for paths; data buffers transferred)
+//      { id, type: 'error', message }
+
+import { importFile, readDatasets } from './importers/index.js';
+import { identifyInstrument, resolveChannels } from './channel-mapping.js';
+import { computeDatasetStats, renderThumbnail } from './dataset-stats.js';
+
+async function reread({ id, source, fileName, paths }) {
+    const datasets = await readDatasets(source, fileName, paths);
+    const transfer = new Set(Object.values(datasets).map(dataset => dataset.data.buffer));
+    self.postMessage({ id, type: 'result', datasets }, Array.from(transfer));
+}
+
+self.onmessage = async e => {
+    if (e.data.paths) {
+        reread(e.data).catch(error => self.postMessage({ id: e.data.id, type: 'error', message: error.message }));
+        return;
+    }
+    const { id, buffer, fileName, rules, thumbnailSize } = e.data;
+    const progress = (stage, fraction) => self.postMessage({ id, type: 'progress', stage, fraction });
+
+    try {
+        progress('parsing', 0);
+        const result = await importFile(buffer, fileName);
+
+        const entries = Object.entries(result.datasets);
+        const datasetInfo = {};
+        entries.forEach(([path, dataset], i) => {
+            progress('statistics', i / entries.length);
+            datasetInfo[path] = computeDatasetStats(dataset.data);
+        });
+
+        progress('thumbnail', 1);
+        const instrument = identifyInstrument(result.metadata.attributes);
+        const channelMapping = resolveChannels(result.datasets, instrument, rules);
+        let thumbnail = null;
+        const intensity = result.datasets[channelMapping.intensity];
+        if (intensity) {
+            const { min, max } = datasetInfo[channelMapping.intensity];
+            thumbnail = renderThumbnail(intensity.data, intensity.width, intensity.height, min, max, thumbnailSize);
+        }
+
+        // Datasets may be views of one buffer, so list each buffer only once
+        const transfer = new Set(entries.map(([, dataset]) => dataset.data.buffer));
+        if (thumbnail) transfer.add(thumbnail.buffer);
+        self.postMessage({ id, type: 'result', result, datasetInfo, channelMapping, thumbnail }, Array.from(transfer));
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
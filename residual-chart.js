@@ -0,0 +1,115 @@
+// residual-chart.js
+// Histogram of the residual distribution with a draggable threshold line
+
+const BAR_COLOR = '#5a6a7a';
+const FLAGGED_COLOR = '#e05050';
+const LINE_COLOR = '#ffeb3b';
+
+export class ResidualChart {
+    /**
+     * onDrag(value) fires while the cut line is dragged (or the chart clicked),
+     * onDragEnd() once the pointer is released.
+     */
+    constructor(canvas, { onDrag = () => {}, onDragEnd = () => {} } = {}) {
+        this.canvas = canvas;
+        this.onDrag = onDrag;
+        this.onDragEnd = onDragEnd;
+        this.index = null;
+        this.histogram = null;
+        this.threshold = null;
+        this.dragging = false;
+
+        canvas.addEventListener('pointerdown', e => {
+            if (!this.histogram) return;
+            this.dragging = true;
+            canvas.setPointerCapture(e.pointerId);
+            this.onDrag(this.valueAt(e));
+        });
+        canvas.addEventListener('pointermove', e => {
+            if (this.dragging) this.onDrag(this.valueAt(e));
+        });
+        const release = e => {
+            if (!this.dragging) return;
+            this.dragging = false;
+            canvas.releasePointerCapture(e.pointerId);
+            this.onDragEnd();
+        };
+        canvas.addEventListener('pointerup', release);
+        canvas.addEventListener('pointercancel', release);
+    }
+
+    // The x range stops at the 99.9th percentile so a few extreme residuals don't squash the rest
+    setData(index) {
+        this.index = index;
+        if (!index) {
+            this.histogram = null;
+            this.render(null);
+            return;
+        }
+        const lo = index.min;
+        const hi = Math.max(index.quantile(0.999), lo + 1e-12);
+        this.histogram = index.histogram(lo, hi, 100);
+    }
+
+    valueAt(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const t = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+        const { lo, hi } = this.histogram;
+        return lo + t * (hi - lo);
+    }
+
+    render(threshold) {
+        this.threshold = threshold;
+        const canvas = this.canvas;
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (width === 0 || height === 0) return;
+        if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        if (!this.histogram) return;
+
+        // Log counts, so the sparse tail where defects live stays visible
+        const { counts, lo, hi, width: binWidth } = this.histogram;
+        const plotHeight = height - 12;
+        let peak = 0;
+        for (const count of counts) peak = Math.max(peak, Math.log1p(count));
+        const barWidth = width / counts.length;
+        for (let b = 0; b < counts.length; b++) {
+            if (counts[b] === 0) continue;
+            const barHeight = (Math.log1p(counts[b]) / peak) * plotHeight;
+            const binStart = lo + b * binWidth;
+            ctx.fillStyle = threshold != null && binStart >= threshold ? FLAGGED_COLOR : BAR_COLOR;
+            ctx.fillRect(b * barWidth, plotHeight - barHeight, Math.max(1, barWidth - 0.5), barHeight);
+        }
+
+        ctx.font = '9px monospace';
+        ctx.fillStyle = '#888';
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'left';
+        ctx.fillText(lo.toPrecision(3), 0, height);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${hi.toPrecision(3)} (p99.9)`, width, height);
+
+        if (threshold == null) return;
+        const x = Math.max(0, Math.min(1, (threshold - lo) / (hi - lo))) * width;
+        ctx.strokeStyle = LINE_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, plotHeight);
+        ctx.stroke();
+
+        const flagged = this.index.fractionAbove(threshold) * 100;
+        const beyond = threshold > hi ? ' →' : '';
+        ctx.fillStyle = LINE_COLOR;
+        ctx.textBaseline = 'top';
+        ctx.textAlign = x > width / 2 ? 'right' : 'left';
+        ctx.fillText(`${flagged < 0.01 && flagged > 0 ? '<0.01' : flagged.toFixed(2)}% flagged${beyond}`, x + (x > width / 2 ? -4 : 4), 1);
+    }
+}
@@ -0,0 +1,91 @@
+// residual-index.js
+// Residual distribution indexed once per result, so threshold and histogram lookups don't rescan the map
+
+// Value at fraction q of ascending values, indexed the way the percentile slider always has been
+export function quantileOf(sorted, q) {
+    const index = Math.floor(q * sorted.length);
+    return sorted[Math.max(0, Math.min(index, sorted.length - 1))];
+}
+
+// Number of entries in ascending values that are < value (or <= value with inclusive)
+function rank(sorted, value, inclusive = false) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid] < value || (inclusive && sorted[mid] === value)) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Sorted copy of the finite residuals plus summary statistics. Quantiles, pixel fractions
+ * and histograms over any range are binary searches, independent of the map size.
+ * Like the percentile slider always has, only residuals > 0 count unless signed is set
+ * (for maps such as the fused score, where negative values are ordinary pixels).
+ */
+export class ResidualIndex {
+    constructor(difference, { signed = false } = {}) {
+        const counts = signed ? v => isFinite(v) : v => isFinite(v) && v > 0;
+        let count = 0;
+        for (let i = 0; i < difference.length; i++) {
+            if (counts(difference[i])) count++;
+        }
+        if (count === 0) throw new Error('No residuals to index');
+
+        const sorted = new Float32Array(count);
+        let n = 0;
+        let sum = 0;
+        for (let i = 0; i < difference.length; i++) {
+            if (counts(difference[i])) {
+                sorted[n++] = difference[i];
+                sum += difference[i];
+            }
+        }
+        sorted.sort();
+
+        const mean = sum / count;
+        let squares = 0;
+        for (let i = 0; i < count; i++) squares += (sorted[i] - mean) ** 2;
+        const median = quantileOf(sorted, 0.5);
+        const deviations = sorted.map(v => Math.abs(v - median)).sort();
+
+        this.sorted = sorted;
+        this.count = count;
+        this.min = sorted[0];
+        this.max = sorted[count - 1];
+        this.mean = mean;
+        this.std = Math.sqrt(squares / count);
+        this.median = median;
+        this.mad = quantileOf(deviations, 0.5);
+    }
+
+    quantile(q) {
+        return quantileOf(this.sorted, q);
+    }
+
+    // Fraction of residuals strictly below value; the inverse of quantile()
+    fractionBelow(value) {
+        return rank(this.sorted, value) / this.count;
+    }
+
+    // Fraction flagged by threshold (residual >= threshold)
+    fractionAbove(value) {
+        return 1 - this.fractionBelow(value);
+    }
+
+    // Counts in bins equal-width bins over [lo, hi]; values outside are ignored
+    histogram(lo, hi, bins) {
+        const counts = new Float64Array(bins);
+        const width = (hi - lo) / bins;
+        let previous = rank(this.sorted, lo);
+        for (let b = 0; b < bins; b++) {
+            const edge = lo + (b + 1) * width;
+            const next = b === bins - 1 ? rank(this.sorted, hi, true) : rank(this.sorted, edge);
+            counts[b] = next - previous;
+            previous = next;
+        }
+        return { counts, lo, hi, width };
+    }
+}
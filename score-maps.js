@@ -0,0 +1,143 @@
+// score-maps.js
+// Anomaly maps that can be thresholded: the detector's output, a height residual and their weighted fusion
+
+import { localMedianBackground } from './classical-detectors.js';
+import { ResidualIndex } from './residual-index.js';
+
+const SETTINGS_KEY = 'scoreSettings';
+const MAD_TO_SIGMA = 1.4826;
+
+export const SCORE_MAPS = {
+    detector: 'Detector',
+    height: 'Height residual',
+    fused: 'Fused'
+};
+
+export const DEFAULT_SCORE_SETTINGS = { map: 'detector', heightWeight: 0.5, heatMap: false };
+
+// Heat map colours from low to high score (black → purple → red → orange → pale yellow)
+const HEAT_STOPS = [[0, 0, 0], [87, 16, 110], [188, 55, 84], [249, 142, 9], [252, 255, 164]];
+
+export function loadScoreSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        if (saved && SCORE_MAPS[saved.map]) return { ...DEFAULT_SCORE_SETTINGS, ...saved };
+    } catch (e) {
+        console.warn('Could not read score settings:', e.message);
+    }
+    return { ...DEFAULT_SCORE_SETTINGS };
+}
+
+export function saveScoreSettings(settings) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * RGBA pixels of a score map drawn as a heat map: { pixels, min, max }. Colours run from the 1st
+ * to the 99.5th percentile of index, so a few extreme pixels don't wash out the rest; non-finite
+ * scores are black.
+ */
+export function heatMapPixels(map, index) {
+    const pixels = new Uint8ClampedArray(map.length * 4);
+    const min = index ? index.quantile(0.01) : 0;
+    const max = index ? index.quantile(0.995) : 1;
+    const range = max > min ? max - min : 1;
+    const last = HEAT_STOPS.length - 1;
+    for (let i = 0; i < map.length; i++) {
+        const idx = i * 4;
+        pixels[idx + 3] = 255;
+        if (!isFinite(map[i])) continue;
+        const t = Math.max(0, Math.min(1, (map[i] - min) / range)) * last;
+        const stop = Math.min(last - 1, Math.floor(t));
+        const f = t - stop;
+        const [r0, g0, b0] = HEAT_STOPS[stop];
+        const [r1, g1, b1] = HEAT_STOPS[stop + 1];
+        pixels[idx] = r0 + (r1 - r0) * f;
+        pixels[idx + 1] = g0 + (g1 - g0) * f;
+        pixels[idx + 2] = b0 + (b1 - b0) * f;
+    }
+    return { pixels, min, max };
+}
+
+/**
+ * |height − local median background| of the inpainted surface, NaN at dropouts. Catches
+ * dents and burrs that don't show in intensity.
+ */
+export function heightAnomaly(surface, validity, width, height, blockSize = 32) {
+    const background = localMedianBackground(surface, width, height, blockSize);
+    const anomaly = new Float32Array(surface.length);
+    for (let i = 0; i < anomaly.length; i++) {
+        anomaly[i] = validity[i] ? Math.abs(surface[i] - background[i]) : NaN;
+    }
+    return anomaly;
+}
+
+// Robust z-score parameters from a ResidualIndex; MAD falls back to σ on flat maps
+function robustScale(index) {
+    const scale = MAD_TO_SIGMA * index.mad || index.std || 1;
+    return { center: index.median, scale };
+}
+
+/**
+ * Weighted sum of the detector and height maps after robust standardization, so the weights
+ * mean the same whatever units each map is in. NaN wherever either input is NaN.
+ */
+export function fuseScores(detectorMap, detectorIndex, heightMap, heightIndex, heightWeight) {
+    const a = robustScale(detectorIndex);
+    const b = robustScale(heightIndex);
+    const wHeight = Math.max(0, Math.min(1, heightWeight));
+    const wDetector = 1 - wHeight;
+    const fused = new Float32Array(detectorMap.length);
+    for (let i = 0; i < fused.length; i++) {
+        fused[i] = wDetector * (detectorMap[i] - a.center) / a.scale + wHeight * (heightMap[i] - b.center) / b.scale;
+    }
+    return fused;
+}
+
+export function describeWeights(heightWeight) {
+    return `detector ${(1 - heightWeight).toFixed(2)}, height ${heightWeight.toFixed(2)}`;
+}
+
+/**
+ * The maps of one result with their ResidualIndex objects, built on first use. The fused
+ * map is rebuilt when asked for with a different height weight.
+ */
+export class ScoreSet {
+    constructor({ detector, height }) {
+        this.maps = { detector, height, fused: null };
+        this.indexes = {};
+        this.fusedWeight = null;
+    }
+
+    map(name, heightWeight) {
+        if (name === 'fused' && (!this.maps.fused || this.fusedWeight !== heightWeight)) {
+            const detectorIndex = this.index('detector');
+            const heightIndex = this.index('height');
+            if (!detectorIndex || !heightIndex) return this.maps.detector;
+            this.maps.fused = fuseScores(this.maps.detector, detectorIndex, this.maps.height, heightIndex, heightWeight);
+            this.fusedWeight = heightWeight;
+            delete this.indexes.fused;
+        }
+        return this.maps[name];
+    }
+
+    // Every map and index array held, for the file cache's size accounting
+    arrays() {
+        return [...Object.values(this.maps), ...Object.values(this.indexes).map(index => index.sorted)].filter(Boolean);
+    }
+
+    // Null when the map has nothing to index
+    index(name, heightWeight) {
+        const map = this.map(name, heightWeight);
+        if (name === 'fused' && map === this.maps.detector) return this.index('detector');
+        if (!this.indexes[name]) {
+            try {
+                this.indexes[name] = new ResidualIndex(map, { signed: name === 'fused' });
+            } catch (error) {
+                console.warn(`Residual index (${name}):`, error.message);
+                return null;
+            }
+        }
+        return this.indexes[name];
+    }
+}
@@ -0,0 +1,177 @@
+// structure-browser.js
+// Searchable tree of every group, dataset and attribute in the loaded file
+
+function formatShape(shape) {
+    return shape && shape.length ? shape.join(' × ') : 'scalar';
+}
+
+function formatDtype(dtype) {
+    if (dtype == null) return '?';
+    return typeof dtype === 'string' ? dtype : JSON.stringify(dtype);
+}
+
+function formatValue(value, maxLength = 200) {
+    let text;
+    try {
+        text = JSON.stringify(value);
+    } catch (e) {
+        text = undefined;
+    }
+    if (text === undefined) text = String(value);
+    return text.length > maxLength ? text.slice(0, maxLength) + '…' : text;
+}
+
+export class StructureBrowser {
+    constructor(container, { onLoadDataset } = {}) {
+        this.container = container;
+        this.onLoadDataset = onLoadDataset;
+        this.structure = null;
+        this.loadablePaths = new Set();
+        this.channels = {};
+        this.query = '';
+    }
+
+    // structure: root node from ImageProcessor; loadablePaths: 2D datasets in allDatasets;
+    // channels: { surface, intensity } paths currently shown in the views
+    setStructure(structure, loadablePaths = [], channels = {}) {
+        this.structure = structure;
+        this.loadablePaths = new Set(loadablePaths);
+        this.channels = channels;
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'structure-header';
+
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.className = 'structure-search';
+        search.placeholder = 'Search groups, datasets, attributes...';
+        search.value = this.query;
+        search.addEventListener('input', e => {
+            this.query = e.target.value;
+            this.renderTree();
+        });
+        header.appendChild(search);
+        this.container.appendChild(header);
+
+        this.treeContainer = document.createElement('div');
+        this.treeContainer.className = 'structure-tree';
+        this.container.appendChild(this.treeContainer);
+
+        this.renderTree();
+    }
+
+    renderTree() {
+        this.treeContainer.innerHTML = '';
+
+        if (!this.structure) {
+            const message = document.createElement('div');
+            message.className = 'structure-empty';
+            message.textContent = 'No file loaded. Please upload or select a scan file.';
+            this.treeContainer.appendChild(message);
+            return;
+        }
+
+        const query = this.query.trim().toLowerCase();
+        const element = this.renderNode(this.structure, query);
+        if (element) {
+            this.treeContainer.appendChild(element);
+        } else {
+            const message = document.createElement('div');
+            message.className = 'structure-empty';
+            message.textContent = `Nothing matches "${this.query}"`;
+            this.treeContainer.appendChild(message);
+        }
+    }
+
+    nodeMatches(node, query) {
+        if (!query) return true;
+        if (node.name.toLowerCase().includes(query) || node.path.toLowerCase().includes(query)) return true;
+        return Object.entries(node.attrs || {}).some(([name, value]) =>
+            name.toLowerCase().includes(query) || formatValue(value).toLowerCase().includes(query)
+        );
+    }
+
+    // Returns null when neither the node nor any descendant matches the query
+    renderNode(node, query) {
+        const selfMatches = this.nodeMatches(node, query);
+        const childElements = (node.children || [])
+            .map(child => this.renderNode(child, query))
+            .filter(Boolean);
+
+        if (!selfMatches && childElements.length === 0) return null;
+
+        const details = document.createElement('details');
+        details.className = `structure-node structure-${node.type}`;
+        // Expand the top levels by default, and everything on the path to a search hit
+        details.open = query ? true : node.path.split('/').filter(Boolean).length < 2;
+
+        const summary = document.createElement('summary');
+        const name = document.createElement('span');
+        name.className = 'structure-name';
+        name.textContent = node.type === 'group' ? `📁 ${node.name}` : `▦ ${node.name}`;
+        name.title = node.path || '/';
+        summary.appendChild(name);
+
+        if (node.type === 'dataset') {
+            const info = document.createElement('span');
+            info.className = 'structure-info';
+            info.textContent = `${formatShape(node.shape)} · ${formatDtype(node.dtype)}`;
+            summary.appendChild(info);
+
+            if (this.loadablePaths.has(node.path)) {
+                summary.appendChild(this.createLoadButton(node.path, 'surface', 'Height'));
+                summary.appendChild(this.createLoadButton(node.path, 'intensity', 'Intensity'));
+            }
+        }
+        details.appendChild(summary);
+
+        const attrEntries = Object.entries(node.attrs || {});
+        if (attrEntries.length > 0) {
+            const attrList = document.createElement('div');
+            attrList.className = 'structure-attrs';
+            for (const [attrName, value] of attrEntries) {
+                const row = document.createElement('div');
+                row.className = 'structure-attr';
+
+                const key = document.createElement('span');
+                key.className = 'structure-attr-name';
+                key.textContent = `@${attrName}`;
+
+                const val = document.createElement('span');
+                val.className = 'structure-attr-value';
+                val.textContent = formatValue(value);
+                val.title = formatValue(value, 5000);
+
+                row.appendChild(key);
+                row.appendChild(val);
+                attrList.appendChild(row);
+            }
+            details.appendChild(attrList);
+        }
+
+        childElements.forEach(child => details.appendChild(child));
+        return details;
+    }
+
+    createLoadButton(path, role, label) {
+        const button = document.createElement('button');
+        button.className = 'structure-load-btn';
+        button.textContent = label;
+        button.title = `Show this dataset as the ${label.toLowerCase()} channel`;
+        if (this.channels[role] === path) {
+            button.classList.add('active');
+        }
+        button.addEventListener('click', e => {
+            // Don't toggle the <details> when clicking inside its summary
+            e.preventDefault();
+            e.stopPropagation();
+            if (this.onLoadDataset) this.onLoadDataset(path, role);
+        });
+        return button;
+    }
+}
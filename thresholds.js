@@ -0,0 +1,224 @@
+// thresholds.js
+// Strategies that turn the residual (difference) map into a defect threshold, and the
+// known-good calibration they can draw on
+
+import { quantileOf } from './residual-index.js';
+
+const SETTINGS_KEY = 'thresholdSettings';
+const CALIBRATION_KEY = 'thresholdCalibration';
+// Quantiles kept per known-good scan. Every detector, map and fused weight gets its own entry in
+// one localStorage item, so ~10 kB per scan keeps a full calibration set well inside the quota.
+const CALIBRATION_SAMPLES = 1000;
+const MAX_CALIBRATION_SCANS = 10;
+const MAD_TO_SIGMA = 1.4826; // MAD of a normal distribution is 0.6745σ
+
+// param is null for strategies without a setting; absolute takes its range from the data
+export const THRESHOLD_STRATEGIES = {
+    percentile: {
+        name: 'Percentile',
+        description: 'Flags a fixed fraction of pixels, even on a perfect part',
+        param: { label: 'Percentile', min: 0, max: 100, step: 0.5, value: 95, suffix: '%' }
+    },
+    absolute: {
+        name: 'Absolute residual',
+        description: 'Flags residuals above a fixed value',
+        param: { label: 'Residual', min: 0, max: null, step: null, value: null, suffix: '' }
+    },
+    mad: {
+        name: 'k·MAD above median',
+        description: 'Median + k × MAD (scaled to σ); robust to the defects themselves',
+        param: { label: 'k', min: 1, max: 20, step: 0.5, value: 5, suffix: '' }
+    },
+    sigma: {
+        name: 'k·σ above median',
+        description: 'Median + k × standard deviation of the residuals',
+        param: { label: 'k', min: 1, max: 10, step: 0.5, value: 3, suffix: '' }
+    },
+    otsu: {
+        name: 'Otsu',
+        description: 'Splits the residual histogram into two classes with maximal between-class variance',
+        param: null
+    },
+    calibrated: {
+        name: 'Calibrated on good scans',
+        description: 'Quantile of the residuals this detector produced on scans marked as known-good',
+        param: { label: 'Good quantile', min: 90, max: 100, step: 0.05, value: 99.9, suffix: '%' }
+    }
+};
+
+export const DEFAULT_THRESHOLD_STRATEGY = 'percentile';
+
+export function loadThresholdSettings() {
+    const defaults = { strategy: DEFAULT_THRESHOLD_STRATEGY, params: {} };
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        if (saved && THRESHOLD_STRATEGIES[saved.strategy]) return { ...defaults, ...saved };
+    } catch (e) {
+        console.warn('Could not read threshold settings:', e.message);
+    }
+    return defaults;
+}
+
+export function saveThresholdSettings(settings) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// Threshold maximizing between-class variance over a 256-bin histogram
+export function otsuThreshold(index, bins = 256) {
+    const { min, max } = index;
+    if (max <= min) return max;
+    const { counts: histogram, width: binWidth } = index.histogram(min, max, bins);
+
+    const total = index.count;
+    let totalSum = 0;
+    for (let b = 0; b < bins; b++) totalSum += b * histogram[b];
+    let weightBelow = 0;
+    let sumBelow = 0;
+    let best = 0;
+    let bestVariance = -1;
+    for (let b = 0; b < bins - 1; b++) {
+        weightBelow += histogram[b];
+        sumBelow += b * histogram[b];
+        const weightAbove = total - weightBelow;
+        if (weightBelow === 0 || weightAbove === 0) continue;
+        const meanBelow = sumBelow / weightBelow;
+        const meanAbove = (totalSum - sumBelow) / weightAbove;
+        const variance = weightBelow * weightAbove * (meanBelow - meanAbove) ** 2;
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            best = b;
+        }
+    }
+    return min + (best + 1) * binWidth;
+}
+
+/**
+ * Threshold for strategy with its param from a ResidualIndex, or null when it can't be
+ * computed (calibrated without known-good scans).
+ */
+export function computeThreshold(index, strategy, param, calibration = null) {
+    switch (strategy) {
+        case 'percentile':
+            return index.quantile(param / 100);
+        case 'absolute':
+            return param;
+        case 'mad':
+            return index.median + param * MAD_TO_SIGMA * index.mad;
+        case 'sigma':
+            return index.median + param * index.std;
+        case 'otsu':
+            return otsuThreshold(index);
+        case 'calibrated':
+            if (!calibration || calibration.samples.length === 0) return null;
+            return quantileOf(calibration.samples, param / 100);
+        default:
+            throw new Error(`Unknown threshold strategy: ${strategy}`);
+    }
+}
+
+/**
+ * Inverse of computeThreshold: the param that puts the cut at threshold, clamped to the
+ * strategy's range. Null for strategies without a param (or calibrated without scans).
+ */
+export function paramForThreshold(index, strategy, threshold, calibration = null) {
+    const spec = THRESHOLD_STRATEGIES[strategy].param;
+    if (!spec) return null;
+    let param;
+    switch (strategy) {
+        case 'percentile':
+            param = index.fractionBelow(threshold) * 100;
+            break;
+        case 'absolute':
+            return Math.max(0, threshold);
+        case 'mad':
+            param = index.mad > 0 ? (threshold - index.median) / (MAD_TO_SIGMA * index.mad) : spec.value;
+            break;
+        case 'sigma':
+            param = index.std > 0 ? (threshold - index.median) / index.std : spec.value;
+            break;
+        case 'calibrated': {
+            if (!calibration || calibration.samples.length === 0) return null;
+            let below = 0;
+            while (below < calibration.samples.length && calibration.samples[below] < threshold) below++;
+            param = (below / calibration.samples.length) * 100;
+            break;
+        }
+        default:
+            throw new Error(`Unknown threshold strategy: ${strategy}`);
+    }
+    const stepped = Math.round(param / spec.step) * spec.step;
+    return Math.min(spec.max, Math.max(spec.min, Number(stepped.toFixed(6))));
+}
+
+// Human-readable strategy and setting, e.g. "k·MAD above median (k = 5)"
+export function describeThreshold(strategy, param) {
+    const { name, param: spec } = THRESHOLD_STRATEGIES[strategy];
+    if (!spec || param == null) return name;
+    const value = `${formatParam(param)}${spec.suffix}`;
+    return spec.label === name ? `${name} ${value}` : `${name} (${spec.label} = ${value})`;
+}
+
+export function formatParam(value) {
+    return Number.isInteger(value) ? String(value) : Number(value.toPrecision(4)).toString();
+}
+
+// Per-detector residual quantiles of scans marked as known-good
+function isCalibrationScan(scan) {
+    return scan !== null && typeof scan === 'object' && typeof scan.file === 'string'
+        && Array.isArray(scan.samples) && scan.samples.length > 0
+        && scan.samples.every(Number.isFinite);
+}
+
+// Entries are checked one at a time: a malformed entry or scan is skipped, the rest still load
+export function loadCalibrations() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(CALIBRATION_KEY));
+    } catch (e) {
+        console.warn('Could not read threshold calibration:', e.message);
+        return {};
+    }
+    if (!saved || typeof saved !== 'object' || Array.isArray(saved)) return {};
+
+    const calibrations = {};
+    for (const [detectorId, entry] of Object.entries(saved)) {
+        const scans = entry && Array.isArray(entry.scans) ? entry.scans.filter(isCalibrationScan) : [];
+        if (scans.length < (entry?.scans?.length ?? 1)) {
+            console.warn(`Could not read threshold calibration for ${detectorId}: skipped malformed scans`);
+        }
+        if (scans.length > 0) calibrations[detectorId] = { scans };
+    }
+    return calibrations;
+}
+
+function saveCalibrations(calibrations) {
+    localStorage.setItem(CALIBRATION_KEY, JSON.stringify(calibrations));
+}
+
+// { files, samples (ascending Float32Array, pooled over scans) } for detectorId, or null
+export function getCalibration(calibrations, detectorId) {
+    const entry = calibrations[detectorId];
+    if (!entry || entry.scans.length === 0) return null;
+    const samples = Float32Array.from(entry.scans.flatMap(scan => scan.samples)).sort();
+    return { files: entry.scans.map(scan => scan.file), samples };
+}
+
+// Record the residual distribution (a ResidualIndex) of a known-good scan; re-adding a file replaces it
+export function addCalibrationScan(calibrations, detectorId, fileName, index) {
+    const samples = [];
+    for (let i = 0; i < CALIBRATION_SAMPLES; i++) {
+        samples.push(Number(index.quantile(i / (CALIBRATION_SAMPLES - 1)).toPrecision(6)));
+    }
+    const scans = (calibrations[detectorId]?.scans || []).filter(scan => scan.file !== fileName);
+    scans.push({ file: fileName, samples });
+    const entry = { scans: scans.slice(-MAX_CALIBRATION_SCANS) };
+    // Save first: if the quota is exceeded the in-memory calibrations stay as they were on disk
+    saveCalibrations({ ...calibrations, [detectorId]: entry });
+    calibrations[detectorId] = entry;
+}
+
+export function clearCalibration(calibrations, detectorId) {
+    const { [detectorId]: cleared, ...remaining } = calibrations;
+    saveCalibrations(remaining);
+    delete calibrations[detectorId];
+}
@@ -0,0 +1,55 @@
+// units.js
+// Length units used to report heights, pixel sizes and scale bars
+
+export const LENGTH_UNITS = [
+    { label: 'nm', meters: 1e-9 },
+    { label: 'µm', meters: 1e-6 },
+    { label: 'mm', meters: 1e-3 },
+    { label: 'm', meters: 1 }
+];
+
+// Spellings found in instrument metadata, mapped to meters per unit
+const UNIT_ALIASES = {
+    nanometers: 1e-9, nanometer: 1e-9, nm: 1e-9,
+    micrometers: 1e-6, micrometer: 1e-6, microns: 1e-6, micron: 1e-6, um: 1e-6, 'µm': 1e-6,
+    millimeters: 1e-3, millimeter: 1e-3, mm: 1e-3,
+    meters: 1, meter: 1, m: 1
+};
+
+export function unitToMeters(name) {
+    if (typeof name !== 'string') return null;
+    const key = name.trim().toLowerCase().replace(/\s+/g, '');
+    return UNIT_ALIASES[key] ?? null;
+}
+
+// Largest unit in which the value is still >= 1 (so 0.0042 m -> 4.2 mm)
+export function chooseLengthUnit(meters) {
+    const magnitude = Math.abs(meters);
+    if (!isFinite(magnitude) || magnitude === 0) return LENGTH_UNITS[1];
+
+    let chosen = LENGTH_UNITS[0];
+    for (const unit of LENGTH_UNITS) {
+        if (magnitude / unit.meters >= 1) chosen = unit;
+    }
+    return chosen;
+}
+
+export function formatLength(meters, unit = chooseLengthUnit(meters), digits = 3) {
+    return `${(meters / unit.meters).toFixed(digits)} ${unit.label}`;
+}
+
+// Round a length down to 1, 2 or 5 × 10^n for scale bar labels
+export function niceLength(meters) {
+    if (!(meters > 0)) return 0;
+    const exponent = Math.floor(Math.log10(meters));
+    const base = Math.pow(10, exponent);
+    const fraction = meters / base;
+    const nice = fraction >= 5 ? 5 : fraction >= 2 ? 2 : 1;
+    return nice * base;
+}
+
+export function formatScaleLength(meters) {
+    const unit = chooseLengthUnit(meters);
+    const value = meters / unit.meters;
+    return `${Number(value.toPrecision(3))} ${unit.label}`;
+}
@@ -0,0 +1,137 @@
+// worker-pool.js
+// Fixed-size pool of module workers with a FIFO queue, progress callbacks and cancellation
+
+export class CancelledError extends Error {
+    constructor(message = 'Cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+    }
+}
+
+export class WorkerPool {
+    constructor(url, size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1))) {
+        this.url = url;
+        this.size = size;
+        this.workers = []; // { worker, job }
+        this.queue = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Run one job. message is posted with an added id; transfer lists buffers to move. A worker
+     * that answers { type: 'error', restart: true } is replaced after the job fails.
+     * options: { onProgress(message), signal: AbortSignal }
+     * Resolves with the worker's 'result' message, rejects on 'error' or CancelledError.
+     */
+    run(message, transfer = [], { onProgress, signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new CancelledError());
+                return;
+            }
+            const job = { id: this.nextId++, message, transfer, onProgress, resolve, reject, signal };
+            if (signal) {
+                job.onAbort = () => this.cancel(job);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.workers.find(w => !w.job);
+            if (!slot && this.workers.length < this.size) {
+                slot = this.spawn();
+            }
+            if (!slot) return;
+            const job = this.queue.shift();
+            slot.job = job;
+            slot.worker.postMessage({ ...job.message, id: job.id }, job.transfer);
+        }
+    }
+
+    spawn() {
+        const slot = { worker: new Worker(this.url, { type: 'module' }), job: null };
+        slot.worker.onmessage = e => this.handleMessage(slot, e.data);
+        slot.worker.onerror = e => {
+            e.preventDefault();
+            const job = slot.job;
+            slot.job = null;
+            this.replace(slot);
+            if (job) {
+                this.release(job);
+                job.reject(new Error(e.message || 'Worker failed'));
+            }
+        };
+        this.workers.push(slot);
+        return slot;
+    }
+
+    handleMessage(slot, data) {
+        const job = slot.job;
+        if (!job || data.id !== job.id) return;
+        if (data.type === 'progress') {
+            if (job.onProgress) job.onProgress(data);
+        } else if (data.type === 'error') {
+            const error = new Error(data.message);
+            if (data.name) error.name = data.name; // Lets callers tell error kinds apart across the worker boundary
+            if (data.restart) {
+                // The worker's state is broken (a lost GPU device, say): start a fresh one for the next job
+                slot.job = null;
+                this.release(job);
+                this.replace(slot);
+                job.reject(error);
+            } else {
+                this.finish(slot, j => j.reject(error));
+            }
+        } else {
+            this.finish(slot, j => j.resolve(data));
+        }
+    }
+
+    finish(slot, settle) {
+        const job = slot.job;
+        slot.job = null;
+        this.release(job);
+        settle(job);
+        this.dispatch();
+    }
+
+    release(job) {
+        if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+    }
+
+    // A running job can't be interrupted, so its worker is terminated and replaced
+    cancel(job) {
+        const queued = this.queue.indexOf(job);
+        if (queued >= 0) {
+            this.queue.splice(queued, 1);
+            job.reject(new CancelledError());
+            return;
+        }
+        const slot = this.workers.find(w => w.job === job);
+        if (slot) {
+            slot.job = null;
+            job.reject(new CancelledError());
+            this.replace(slot);
+        }
+    }
+
+    replace(slot) {
+        slot.worker.terminate();
+        this.workers.splice(this.workers.indexOf(slot), 1);
+        this.dispatch();
+    }
+
+    terminate() {
+        for (const slot of this.workers) {
+            slot.worker.terminate();
+            if (slot.job) slot.job.reject(new CancelledError());
+        }
+        for (const job of this.queue) job.reject(new CancelledError());
+        this.workers = [];
+        this.queue = [];
+    }
+}
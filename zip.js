@@ -0,0 +1,130 @@
+// zip.js
+// Minimal ZIP reader (stored and deflate entries) for archive-based formats like X3P, and a stored-only writer for .npz
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+function findEndOfCentralDirectory(view) {
+    // The EOCD record is at least 22 bytes and may be followed by a comment of up to 64 KB
+    const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+        if (view.getUint32(offset, true) === EOCD_SIGNATURE) return offset;
+    }
+    throw new Error('Not a ZIP archive (end of central directory not found)');
+}
+
+// Returns a Map of entry name -> { name, method, compressedSize, size, dataOffset }
+export function readZipEntries(buffer) {
+    const view = new DataView(buffer);
+    const eocd = findEndOfCentralDirectory(view);
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+
+    const decoder = new TextDecoder();
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+        // The local header repeats name/extra with its own lengths
+        if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) {
+            throw new Error(`Corrupt ZIP local header for ${name}`);
+        }
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const dataOffset = localOffset + 30 + localNameLength + localExtraLength;
+
+        entries.set(name, { name, method, compressedSize, size, dataOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+export async function readZipEntry(buffer, entry) {
+    const compressed = new Uint8Array(buffer, entry.dataOffset, entry.compressedSize);
+    if (entry.method === 0) {
+        return compressed.slice();
+    }
+    if (entry.method === 8) {
+        const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Stored (uncompressed) archive, enough for NumPy .npz. files: [{ name, data: Uint8Array }]
+export function writeZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        if (offset + 30 + name.length + file.data.length > 0xffffffff) {
+            throw new Error('Archive is larger than 4 GB; ZIP64 is not supported');
+        }
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_SIGNATURE, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(8, 0, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(new Uint8Array(local.buffer), name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, CENTRAL_SIGNATURE, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + file.data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const eocd = new DataView(new ArrayBuffer(22));
+    eocd.setUint32(0, EOCD_SIGNATURE, true);
+    eocd.setUint16(8, files.length, true);
+    eocd.setUint16(10, files.length, true);
+    eocd.setUint32(12, centralSize, true);
+    eocd.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, new Uint8Array(eocd.buffer)], { type: 'application/zip' });
+}